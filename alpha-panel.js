@@ -0,0 +1,101 @@
+// alpha-panel.js - Browser view of every step's alpha variant (see alpha-scale.js)
+import Color from "colorjs.io";
+import { findAlphaColor } from "./alpha-scale.js";
+
+/**
+ * Create an element with a class and text
+ */
+function element(tag, className, text) {
+  const node = document.createElement(tag);
+  if (className) node.className = className;
+  if (text !== undefined) node.textContent = text;
+  return node;
+}
+
+/**
+ * Labelled control
+ */
+function field(label, control) {
+  const wrapper = element('label', 'matrix-field');
+  wrapper.append(element('span', 'editor-field-label', label), control);
+  return wrapper;
+}
+
+/**
+ * Table of alpha variants: each cell shows the variant over a checkerboard
+ * and over the background it was solved for, with its alpha underneath
+ */
+function renderVariants(colors, background, tolerance) {
+  const steps = Object.keys(Object.values(colors)[0] ?? {});
+  const table = element('table', 'harmony-table alpha-table');
+  table.style.setProperty('--alpha-background', background);
+  const header = table.createTHead().insertRow();
+  header.appendChild(element('th'));
+  steps.forEach(step => header.appendChild(element('th', null, `a${step}`)));
+
+  const body = table.createTBody();
+  Object.entries(colors).forEach(([colorName, shades]) => {
+    const row = body.insertRow();
+    row.appendChild(element('th', null, colorName));
+    steps.forEach(step => {
+      const variant = findAlphaColor(shades[step], background, { tolerance });
+      const cell = row.insertCell();
+      const chip = element('div', 'alpha-chip');
+      chip.style.setProperty('--alpha-color', variant.hex);
+      chip.append(element('span', 'alpha-checker'), element('span', 'alpha-over'));
+      chip.title = `${colorName}-a${step} ${variant.hex}\nOver ${background}: ${variant.composite} (step ${shades[step]}, ΔE ${variant.deltaE.toFixed(2)})`;
+      cell.append(chip, element('div', 'matrix-values', `${Math.round(variant.alpha * 100)}%`));
+    });
+  });
+
+  return table;
+}
+
+/**
+ * Initialize the alpha variant panel
+ *
+ * @param {HTMLElement} panel - Container the controls and table render into
+ * @param {Object} settings - `alpha` from colors-v2.js ({ background: { light, dark }, tolerance })
+ * @returns {Function} - update(colors, mode) re-renders for the shown
+ *   { colorName: { step: hex } } in 'light' or 'dark' mode
+ */
+export function initAlphaPanel(panel, settings) {
+  let colors = null;
+  let mode = null;
+
+  const background = document.createElement('input');
+  background.type = 'color';
+  background.className = 'alpha-background';
+
+  const tolerance = document.createElement('input');
+  Object.assign(tolerance, { type: 'number', min: 0, step: 0.5, value: settings.tolerance });
+  tolerance.className = 'editor-number';
+
+  const filters = element('div', 'matrix-filters');
+  filters.append(field('Background', background), field('Max ΔE', tolerance));
+
+  const hint = element('p', 'editor-hint',
+    'Lowest alpha that reproduces each step over the background (left: over a checkerboard, right: over the background). '
+    + 'Raise Max ΔE to trade exactness for more transparency.');
+  const report = element('div', 'matrix-container');
+  panel.append(filters, hint, report);
+
+  function render() {
+    if (!colors) return;
+    report.replaceChildren(renderVariants(colors, background.value, Number(tolerance.value) || 0));
+  }
+
+  background.addEventListener('input', render);
+  tolerance.addEventListener('input', render);
+
+  return function update(nextColors, nextMode) {
+    colors = nextColors;
+    // Switching theme goes back to the background configured for it
+    if (nextMode !== mode) {
+      mode = nextMode;
+      // The color input only takes #rrggbb
+      background.value = new Color(settings.background[mode]).to('srgb').toString({ format: 'hex', collapse: false });
+    }
+    render();
+  };
+}
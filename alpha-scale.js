@@ -0,0 +1,102 @@
+// alpha-scale.js - Translucent variants of each step that match it over a background
+import Color from 'colorjs.io';
+
+/**
+ * ΔE2000 allowed between a composited variant and its opaque step.
+ * 0 asks for an exact match once the browser rounds the composite to 8 bits.
+ */
+export const DEFAULT_ALPHA_TOLERANCE = 0;
+
+/**
+ * sRGB channels of a color as 0-255 integers
+ */
+function toChannels(color) {
+  const srgb = new Color(color).to('srgb').toGamut();
+  return srgb.coords.map(value => Math.round((value ?? 0) * 255));
+}
+
+function toHex(channels) {
+  return `#${channels.map(value => value.toString(16).padStart(2, '0')).join('')}`;
+}
+
+/**
+ * Lowest alpha at which some sRGB color composites to the target, before
+ * 8-bit rounding: each channel needs at least the alpha that covers its
+ * distance from the background with a fully saturated (0 or 255) channel
+ */
+function minimumAlpha(target, background) {
+  return Math.max(...target.map((value, i) => {
+    const base = background[i];
+    if (value > base) return (value - base) / (255 - base);
+    if (value < base) return (base - value) / base;
+    return 0;
+  }));
+}
+
+/**
+ * Color for an 8-bit alpha and what it composites to over the background
+ * (source-over in gamma-encoded sRGB, as browsers blend)
+ */
+function solve(target, background, alpha8) {
+  const alpha = alpha8 / 255;
+  const channels = alpha8 === 0 ? target : target.map((value, i) =>
+    Math.min(Math.max(Math.round((value - (1 - alpha) * background[i]) / alpha), 0), 255)
+  );
+  const composited = channels.map((value, i) => Math.round(alpha * value + (1 - alpha) * background[i]));
+  return { channels, composited };
+}
+
+/**
+ * Find the most transparent color that looks like `hex` over `background`
+ *
+ * Starts at the lowest alpha that can reproduce the step exactly and, when a
+ * tolerance is given, keeps lowering it while the composite stays within
+ * that ΔE2000 of the opaque step.
+ *
+ * @param {string} hex - Opaque step color
+ * @param {string} background - Background the variant is composited over
+ * @param {Object} [options]
+ * @param {number} [options.tolerance] - ΔE2000 allowed (default: exact)
+ * @returns {Object} - { hex: '#rrggbbaa', color: '#rrggbb', alpha (0-1), composite: '#rrggbb', deltaE }
+ */
+export function findAlphaColor(hex, background, { tolerance = DEFAULT_ALPHA_TOLERANCE } = {}) {
+  const target = toChannels(hex);
+  const base = toChannels(background);
+  const targetColor = new Color(toHex(target));
+
+  const measure = (alpha8) => {
+    const result = solve(target, base, alpha8);
+    const deltaE = result.composited.every((value, i) => value === target[i])
+      ? 0
+      : new Color(toHex(result.composited)).deltaE(targetColor, '2000');
+    return { ...result, deltaE };
+  };
+  const matches = (alpha8) => measure(alpha8).deltaE <= tolerance;
+
+  let alpha8 = Math.ceil(minimumAlpha(target, base) * 255);
+  while (alpha8 < 255 && !matches(alpha8)) alpha8++;
+  while (alpha8 > 0 && matches(alpha8 - 1)) alpha8--;
+
+  const { channels, composited, deltaE } = measure(alpha8);
+  return {
+    hex: `${toHex(channels)}${alpha8.toString(16).padStart(2, '0')}`,
+    color: toHex(channels),
+    alpha: alpha8 / 255,
+    composite: toHex(composited),
+    deltaE,
+  };
+}
+
+/**
+ * Alpha variant of every step of a scale
+ * @param {Object} shades - { step: hex }
+ * @param {string} background - Background the variants are composited over
+ * @param {Object} [options] - See findAlphaColor()
+ * @returns {Object} - { step: '#rrggbbaa' }
+ */
+export function generateAlphaScale(shades, background, options) {
+  return Object.fromEntries(Object.entries(shades).map(([step, hex]) => [
+    step,
+    findAlphaColor(hex, background, options).hex,
+  ]));
+}
@@ -1,16 +1,27 @@
 // app.js
-import Color from "https://colorjs.io/dist/color.js";
-import { computeContrastDotColor, hexToOklchString, hexToOkhslString, getContrastMasks } from "./colors-utilities.js";
+import { hexToOklchString, hexToOkhslString, getContrastMasks } from "./colors-utilities.js";
+import { initEditor } from "./editor.js";
+import { initProgressionCharts } from "./progression-chart.js";
+import { initHarmonyPanel } from "./harmony-panel.js";
+import { initCvdPanel } from "./cvd-panel.js";
+import { initContrastMatrixPanel } from "./contrast-matrix-panel.js";
+import { initDiffPanel } from "./diff-panel.js";
+import { initAlphaPanel } from "./alpha-panel.js";
+import { generateOnColors } from "./on-colors.js";
+import { simulateCvd } from "./cvd.js";
+import { CONTRAST_ALGORITHMS, CONTRAST_PAIRINGS, DEFAULT_CONTRAST_METHOD, getContrastAlgorithm } from "./contrast-algorithms.js";
+import { toHexMap } from "./scale-metadata.js";
+import { generateColor } from "./palette.js";
+import { resolveStepSet } from "./scale-v2.js";
+import { defaults, colorConfigs, harmony, alpha, onColor } from "./colors-v2.js";
 
-// Make Color available globally for colors-utilities.js
-window.Color = Color;
-
-// APCA contrast configuration
+// Contrast configuration - method is a key of CONTRAST_ALGORITHMS (contrast-algorithms.js),
+// which also holds each algorithm's thresholds and contrast dot target.
+// The contrast dots show each swatch's on-color (see applyOnColors).
+// Passed explicitly to the colors-utilities.js contrast helpers.
 const CONTRAST_CONFIG = {
-  targetLc: 60, // Target APCA contrast value (Lc 65 is minimum for short 14px regular text)
-  method: 'APCA'
+  method: DEFAULT_CONTRAST_METHOD
 };
-window.CONTRAST_CONFIG = CONTRAST_CONFIG;
 
 // Global storage for all color scales
 window.allColorScales = [];
@@ -28,78 +39,146 @@ window.addEventListener("keydown", (e) => {
   }
 });
 
+// Scales regenerated by the editor, keyed by color name (survive theme switches)
+const editedColors = {};
+
+// Light scales and P3 values behind the current CSS variables
+let renderedColorData = {};
+let renderedP3Data = {};
+
+// Whether the rows currently show the dark-mode scales
+let showingDark = false;
+
+// Scales as loaded from the built JSON for the shown theme, before editor changes
+let builtColors = {};
+
+// Base step of the configured step set (names the scales, e.g. red-500)
+const { baseStep } = resolveStepSet(defaults.steps, defaults.baseStep);
+
+// Gamut shown on the swatches: 'srgb' (hex) or 'p3' (color(display-p3 …))
+window.colorGamut = 'srgb';
+
+// Color-vision-deficiency simulation applied to the swatches: { type, severity } or null
+let cvdSimulation = null;
+
 /**
- * Create a color scale row from pre-generated hex values
- * @param {string} colorName - e.g., 'red'
- * @param {Array<string>} hexValues - Array of 13 hex color codes
- * @param {Array<number>} steps - Array of 13 step numbers (50, 100, ..., 950)
- * @param {number} rowIndex - Row index for alternating background
+ * Get the background a swatch shows for the current gamut and CVD simulation
+ * @param {HTMLElement} swatch - Swatch carrying data-srgb (and data-p3)
+ * @returns {string} CSS color
  */
-function createScaleRow(colorName, hexValues, steps, rowIndex) {
-  
-  // Store this scale's data globally
-  window.allColorScales.push({
-    name: `${colorName}-500`,
+function getSwatchBackground(swatch) {
+  if (cvdSimulation) {
+    // Simulated in linear sRGB, so the P3 value is not used
+    return simulateCvd(swatch.dataset.srgb, cvdSimulation.type, cvdSimulation.severity);
+  }
+  return swatch.dataset[window.colorGamut] || swatch.dataset.srgb;
+}
+
+/**
+ * Store the thresholds of the active contrast algorithm a swatch passes
+ * @param {HTMLElement} swatch - Swatch element
+ * @param {Object} masks - getContrastMasks() result for the swatch's row
+ * @param {number} index - Swatch index in the row
+ */
+function storeContrastPasses(swatch, masks, index) {
+  swatch.dataset.contrastPasses = Object.keys(masks).filter(id => masks[id][index]).join(' ');
+}
+
+/**
+ * Get the value shown in the tooltip and copied on click for a swatch
+ * @param {string} hex - sRGB hex color code
+ * @param {string} [p3] - Display P3 color string, if available
+ * @returns {string} Value in the current display format and gamut
+ */
+function getDisplayValue(hex, p3) {
+  if (window.displayFormat === 'oklch') {
+    return hexToOklchString(hex);
+  } else if (window.displayFormat === 'okhsl') {
+    return hexToOkhslString(hex);
+  } else if (window.colorGamut === 'p3' && p3) {
+    return p3;
+  }
+  return hex;
+}
+
+/**
+ * Build the global scale entry for a color (used by copy and export)
+ */
+function toScaleEntry(colorName, hexValues, steps, p3Values) {
+  return {
+    name: `${colorName}-${baseStep}`,
     hexValues: hexValues,
+    p3Values: p3Values,
     steps: steps,
     config: { name: colorName }
-  });
+  };
+}
+
+/**
+ * Turn a { step: hex } map (and optional { step: { p3 } } map) into sorted arrays
+ */
+function getScaleValues(shades, p3Shades) {
+  // Get steps from the data (every color uses the configured step set)
+  const steps = Object.keys(shades).map(Number).sort((a, b) => a - b);
+  const hexValues = steps.map(step => shades[step]);
+  const p3Values = p3Shades ? steps.map(step => p3Shades[step]?.p3) : [];
+  return { steps, hexValues, p3Values };
+}
 
+/**
+ * Create a color scale row from pre-generated hex values
+ * @param {string} colorName - e.g., 'red'
+ * @param {Array<string>} hexValues - Array of hex color codes, one per step
+ * @param {Array<number>} steps - Array of step numbers (e.g. 50, 100, ..., 950)
+ * @param {number} rowIndex - Row index for alternating background
+ * @param {Array<string>} [p3Values] - Array of Display P3 color strings, one per step
+ */
+function createScaleRow(colorName, hexValues, steps, rowIndex, p3Values = []) {
   const row = document.createElement("div");
   row.className = "column scale-row";
+  row.dataset.color = colorName;
 
   const swatchContainer = document.createElement("div");
   swatchContainer.className = "swatch-container";
 
   // Get contrast masks for all swatches
-  const contrastMasks = getContrastMasks(hexValues);
+  const contrastMasks = getContrastMasks(hexValues, CONTRAST_CONFIG);
 
   hexValues.forEach((hex, idx) => {
     const sw = document.createElement("div");
     sw.className = "swatch";
-    sw.style.backgroundColor = hex;
+    sw.dataset.step = steps[idx];
+
+    // Keep both gamuts on the swatch so the P3 toggle can swap them
+    sw.dataset.srgb = hex;
+    if (p3Values[idx]) {
+      sw.dataset.p3 = p3Values[idx];
+    }
+    sw.style.backgroundColor = getSwatchBackground(sw);
 
     const tooltip = document.createElement("div");
     tooltip.className = "tooltip";
 
+    // Colored by applyOnColors() once every row is in place
     const contrastDot = document.createElement("div");
     contrastDot.className = "contrast-dot";
-    contrastDot.style.backgroundColor = computeContrastDotColor(hex);
 
     sw.appendChild(tooltip);
     sw.appendChild(contrastDot);
 
     // Store contrast data on swatch for visibility toggling
-    const modes = ['lc60-white', 'lc60-black', 'lc70-white', 'lc70-black', 'lc30-white', 'lc30-black'];
-    modes.forEach(mode => {
-      sw.dataset[mode.replace('-', '')] = contrastMasks[mode][idx] ? '1' : '0';
-    });
+    storeContrastPasses(sw, contrastMasks, idx);
 
     sw.addEventListener("mouseenter", () => {
       const stepName = `${colorName}-${steps[idx]}`;
-      let colorValue;
-      if (window.displayFormat === 'oklch') {
-        colorValue = hexToOklchString(hex);
-      } else if (window.displayFormat === 'okhsl') {
-        colorValue = hexToOkhslString(hex);
-      } else {
-        colorValue = hex;
-      }
+      const colorValue = getDisplayValue(hex, p3Values[idx]);
       tooltip.textContent = `${stepName} ${colorValue}`;
     });
     sw.addEventListener("mouseleave", () => {
       tooltip.textContent = "";
     });
     sw.addEventListener("click", async () => {
-      const stepName = `${colorName}-${steps[idx]}`;
-      let toCopy;
-      if (window.displayFormat === 'oklch') {
-        toCopy = hexToOklchString(hex);
-      } else if (window.displayFormat === 'okhsl') {
-        toCopy = hexToOkhslString(hex);
-      } else {
-        toCopy = hex;
-      }
+      const toCopy = getDisplayValue(hex, p3Values[idx]);
       await navigator.clipboard.writeText(toCopy);
       
       // Show "Copied!" feedback
@@ -117,22 +196,55 @@ function createScaleRow(colorName, hexValues, steps, rowIndex) {
   return row;
 }
 
+/**
+ * Color every contrast dot with its swatch's on-color, picked from the shown
+ * scales (own scale first, then onColor.fallback) with the active algorithm
+ */
+function applyOnColors() {
+  const { method } = CONTRAST_CONFIG;
+  // onColor.target is meant for onColor.method; other algorithms use their dot target
+  const target = method === onColor.method ? onColor.target : undefined;
+  const onColors = generateOnColors(getShownColors(), { method, target, fallback: onColor.fallback });
+  const { format } = getContrastAlgorithm(method);
+
+  document.querySelectorAll('.scales-container .scale-row').forEach(row => {
+    row.querySelectorAll('.swatch').forEach(swatch => {
+      const { name, hex, contrast, passed } = onColors[row.dataset.color][swatch.dataset.step];
+      const dot = swatch.querySelector('.contrast-dot');
+      dot.style.backgroundColor = hex;
+      dot.title = `${row.dataset.color}-${swatch.dataset.step}-on: ${name} ${format(contrast)}${passed ? '' : ' (below target)'}`;
+    });
+  });
+}
+
+// Stylesheet link holding the generated color variables (replaced on every render)
+let globalColorsLink = null;
+
 // Generate the global-colors.css content
-function generateGlobalColorsCss() {
+// Always built from the light scales: the page chrome uses --slate-* etc. in both themes
+function generateGlobalColorsCss(colorData, p3Data) {
   let cssContent = `:root {\n`;
 
-  window.allColorScales.forEach((scale) => {
-    const baseName = scale.name.split('-')[0];
-    const steps = scale.steps;
-    
-    scale.hexValues.forEach((hex, index) => {
-      const currentLevel = steps[index];
+  Object.entries(colorData).forEach(([baseName, shades]) => {
+    Object.entries(shades).forEach(([currentLevel, hex]) => {
       cssContent += `  --${baseName}-${currentLevel}: ${hex};\n`;
     });
   });
 
   cssContent += `}\n`;
 
+  // Wide-gamut overrides for displays that support Display P3
+  const p3Names = Object.keys(p3Data);
+  if (p3Names.length > 0) {
+    cssContent += `\n@media (color-gamut: p3) {\n  :root {\n`;
+    p3Names.forEach((baseName) => {
+      Object.entries(p3Data[baseName]).forEach(([currentLevel, { p3 }]) => {
+        cssContent += `    --${baseName}-${currentLevel}: ${p3};\n`;
+      });
+    });
+    cssContent += `  }\n}\n`;
+  }
+
   const blob = new Blob([cssContent], { type: 'text/css' });
   const url = URL.createObjectURL(blob);
   
@@ -140,40 +252,106 @@ function generateGlobalColorsCss() {
   link.rel = 'stylesheet';
   link.href = url;
   document.head.appendChild(link);
+
+  if (globalColorsLink) {
+    URL.revokeObjectURL(globalColorsLink.href);
+    globalColorsLink.remove();
+  }
+  globalColorsLink = link;
+}
+
+// Load an optional generated file (P3 values, dark scales), or {} if it is missing
+async function loadOptionalData(file) {
+  try {
+    const response = await fetch(`./${file}`);
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+    return await response.json();
+  } catch (error) {
+    console.warn(`⚠️ ${file} not found, skipping:`, error);
+    return {};
+  }
 }
 
 // Load colors from JSON and render (v2 only)
 async function loadAndRenderColors() {
   try {
     const response = await fetch(`./color-scale-v2.json`);
-    const colorData = await response.json();
+    // Plain hex map, or per-step metadata when built with --schema rich
+    const colorData = toHexMap(await response.json());
+    const p3Data = await loadOptionalData('color-scale-v2-p3.json');
+
+    // Dark theme shows the dark-mode scales (P3 values exist for the light scales only)
+    const isDark = document.documentElement.getAttribute('data-theme') === 'dark';
+    const darkData = isDark ? toHexMap(await loadOptionalData('color-scale-v2-dark.json')) : {};
+    const useDark = Object.keys(darkData).length > 0;
+
+    builtColors = { ...(useDark ? darkData : colorData) };
+
+    // Keep the editor's changes over the pre-built files
+    Object.values(editedColors).forEach(({ name, hex, p3, darkHex }) => {
+      colorData[name] = hex;
+      p3Data[name] = p3;
+      if (useDark) darkData[name] = darkHex;
+    });
+
+    const renderData = useDark ? darkData : colorData;
+    const renderP3 = useDark ? {} : p3Data;
+    showingDark = useDark;
     
     const scalesContainer = document.querySelector('.scales-container');
     scalesContainer.innerHTML = "";
     window.allColorScales = [];
     
     // Convert JSON to array of hex values for each color
-    Object.entries(colorData).forEach(([colorName, shades], index) => {
-      // Get steps from the data (all colors use 13 steps)
-      const steps = Object.keys(shades).map(Number).sort((a, b) => a - b);
-      const hexValues = steps.map(step => shades[step]);
+    Object.entries(renderData).forEach(([colorName, shades], index) => {
+      const { steps, hexValues, p3Values } = getScaleValues(shades, renderP3[colorName]);
       
-      const row = createScaleRow(colorName, hexValues, steps, index);
+      window.allColorScales.push(toScaleEntry(colorName, hexValues, steps, p3Values));
+      const row = createScaleRow(colorName, hexValues, steps, index, p3Values);
       scalesContainer.appendChild(row);
     });
     
     // Generate the global-colors.css file
-    generateGlobalColorsCss();
+    renderedColorData = colorData;
+    renderedP3Data = p3Data;
+    generateGlobalColorsCss(colorData, p3Data);
+    applyOnColors();
+
+    // Let the controls re-apply their state to the new swatches
+    document.dispatchEvent(new CustomEvent('scales-rendered'));
         
-    console.log(`✅ Colors loaded from color-scale-v2.json`);
+    console.log(`✅ Colors loaded from ${useDark ? 'color-scale-v2-dark.json' : 'color-scale-v2.json'}`);
   } catch (error) {
     console.error('❌ Error loading colors:', error);
     alert(`Error loading colors. Make sure color-scale-v2.json exists. Run: npm run build`);
   }
 }
 
-// Initialize - Load colors from JSON
-loadAndRenderColors();
+/**
+ * Replace one row with a scale regenerated by the editor
+ * @param {Object} result - generateColor result ({ name, hex, p3, darkHex, ... })
+ */
+function applyEditedColor(result) {
+  editedColors[result.name] = result;
+
+  const index = window.allColorScales.findIndex(scale => scale.config.name === result.name);
+  const oldRow = document.querySelector(`.scale-row[data-color="${result.name}"]`);
+  if (index === -1 || !oldRow) return;
+
+  const shades = showingDark ? result.darkHex : result.hex;
+  const { steps, hexValues, p3Values } = getScaleValues(shades, showingDark ? undefined : result.p3);
+  window.allColorScales[index] = toScaleEntry(result.name, hexValues, steps, p3Values);
+  oldRow.replaceWith(createScaleRow(result.name, hexValues, steps, index, p3Values));
+
+  // Update the CSS variables
+  renderedColorData[result.name] = result.hex;
+  renderedP3Data[result.name] = result.p3;
+  generateGlobalColorsCss(renderedColorData, renderedP3Data);
+  // An edited scale can change other rows' on-colors (e.g. the neutral fallback)
+  applyOnColors();
+
+  document.dispatchEvent(new CustomEvent('scales-rendered'));
+}
 
 // Format the entire scale data for copying
 function formatScaleData() {
@@ -222,31 +400,73 @@ function toggleDarkMode() {
   
   document.documentElement.setAttribute('data-theme', newDarkMode);
   localStorage.setItem('theme', newDarkMode);
+
+  // Swap between the light and dark-mode scales
+  loadAndRenderColors();
 }
 
 // Initialize dark mode
 initDarkMode();
 
+// Initialize - Load colors from JSON (after the theme is known)
+loadAndRenderColors();
+
 // Contrast controls - initialize after DOM is ready
 function initContrastControls() {
   const contrastToggle = document.getElementById('contrast-toggle');
   const contrastOptions = document.getElementById('contrast-options');
-  const contrastRadios = document.querySelectorAll('input[name="contrast-mode"]');
+  const methodSelect = document.getElementById('contrast-method');
+  const levelsContainer = document.getElementById('contrast-levels');
   
   if (!contrastToggle) return; // Exit if elements don't exist
   
+  // Algorithm choices
+  Object.entries(CONTRAST_ALGORITHMS).forEach(([method, { label }]) => {
+    const option = document.createElement('option');
+    option.value = method;
+    option.textContent = label;
+    methodSelect.appendChild(option);
+  });
+  methodSelect.value = CONTRAST_CONFIG.method;
+  
+  // One radio per threshold of the active algorithm
+  function renderThresholdOptions() {
+    const { thresholds } = CONTRAST_ALGORITHMS[CONTRAST_CONFIG.method];
+    levelsContainer.replaceChildren(...thresholds.map(({ id, label, pairing }, index) => {
+      const option = document.createElement('label');
+      option.className = 'radio-option';
+      const radio = document.createElement('input');
+      Object.assign(radio, { type: 'radio', name: 'contrast-mode', value: id, checked: index === 0 });
+      const text = document.createElement('span');
+      text.className = 'radio-label';
+      text.textContent = `${label} (${CONTRAST_PAIRINGS[pairing].label})`;
+      option.append(radio, text);
+      return option;
+    }));
+  }
+  
+  // Re-measure every swatch and contrast dot with the active algorithm
+  function refreshContrastData() {
+    document.querySelectorAll('.scales-container .swatch-container').forEach(container => {
+      const swatches = [...container.querySelectorAll('.swatch')];
+      const masks = getContrastMasks(swatches.map(swatch => swatch.dataset.srgb), CONTRAST_CONFIG);
+      swatches.forEach((swatch, index) => {
+        storeContrastPasses(swatch, masks, index);
+      });
+    });
+    applyOnColors();
+  }
+  
   // Update swatch visibility based on contrast mode
   function updateContrastVisibility() {
     const isActive = contrastToggle.checked;
-    const selectedMode = document.querySelector('input[name="contrast-mode"]:checked')?.value || 'lc60-white';
-    // Convert mode to data attribute name (e.g., 'lc60-white' -> 'lc60white')
-    const dataAttr = selectedMode.replace('-', '');
+    const selectedMode = document.querySelector('input[name="contrast-mode"]:checked')?.value;
     
     // Toggle contrast-active class on scales container
     const scalesContainer = document.querySelector('.scales-container');
     if (isActive) {
       scalesContainer.classList.add('contrast-active');
-      scalesContainer.dataset.contrastMode = dataAttr;
+      scalesContainer.dataset.contrastMode = selectedMode;
     } else {
       scalesContainer.classList.remove('contrast-active');
       delete scalesContainer.dataset.contrastMode;
@@ -255,7 +475,7 @@ function initContrastControls() {
     // Update swatch visibility
     document.querySelectorAll('.swatch').forEach(swatch => {
       if (isActive) {
-        const meetsContrast = swatch.dataset[dataAttr] === '1';
+        const meetsContrast = (swatch.dataset.contrastPasses ?? '').split(' ').includes(selectedMode);
         swatch.classList.toggle('contrast-hidden', !meetsContrast);
       } else {
         swatch.classList.remove('contrast-hidden');
@@ -263,6 +483,8 @@ function initContrastControls() {
     });
   }
   
+  renderThresholdOptions();
+  
   // Toggle event
   contrastToggle.addEventListener('change', () => {
     if (contrastToggle.checked) {
@@ -273,10 +495,19 @@ function initContrastControls() {
     updateContrastVisibility();
   });
   
-  // Radio change events
-  contrastRadios.forEach(radio => {
-    radio.addEventListener('change', updateContrastVisibility);
+  // Algorithm change: new threshold set, re-measured swatches
+  methodSelect.addEventListener('change', () => {
+    CONTRAST_CONFIG.method = methodSelect.value;
+    renderThresholdOptions();
+    refreshContrastData();
+    updateContrastVisibility();
   });
+  
+  // Radio change events (radios are regenerated, so listen on the container)
+  levelsContainer.addEventListener('change', updateContrastVisibility);
+
+  // Swatches are rebuilt when the theme changes
+  document.addEventListener('scales-rendered', updateContrastVisibility);
 }
 
 // Initialize contrast controls
@@ -285,3 +516,243 @@ if (document.readyState === 'loading') {
 } else {
   initContrastControls();
 }
+
+// Gamut toggle - swap every swatch between its sRGB and Display P3 value
+function initGamutControls() {
+  const p3Toggle = document.getElementById('p3-toggle');
+  
+  if (!p3Toggle) return; // Exit if elements don't exist
+  
+  p3Toggle.addEventListener('change', () => {
+    window.colorGamut = p3Toggle.checked ? 'p3' : 'srgb';
+    document.querySelectorAll('.swatch').forEach(swatch => {
+      swatch.style.backgroundColor = getSwatchBackground(swatch);
+    });
+  });
+}
+
+// Initialize gamut controls
+if (document.readyState === 'loading') {
+  document.addEventListener('DOMContentLoaded', initGamutControls);
+} else {
+  initGamutControls();
+}
+
+// Scale editor - regenerates a color in the browser as its config is edited
+function initEditorControls() {
+  const editorToggle = document.getElementById('editor-toggle');
+  const editorPanel = document.getElementById('editor-panel');
+  
+  if (!editorToggle) return; // Exit if elements don't exist
+  
+  initEditor(editorPanel, applyEditedColor);
+  
+  editorToggle.addEventListener('change', () => {
+    editorPanel.classList.toggle('hidden', !editorToggle.checked);
+  });
+}
+
+// Initialize editor controls
+if (document.readyState === 'loading') {
+  document.addEventListener('DOMContentLoaded', initEditorControls);
+} else {
+  initEditorControls();
+}
+
+// Progression charts - plot every scale's OKhsl/OKLCH channels across its steps
+function initChartControls() {
+  const chartsToggle = document.getElementById('charts-toggle');
+  const chartsPanel = document.getElementById('charts-panel');
+  
+  if (!chartsToggle) return; // Exit if elements don't exist
+  
+  const updateCharts = initProgressionCharts(chartsPanel);
+  // Scales generated from colors-v2.js, computed on first use
+  let generated = null;
+
+  const render = () => {
+    if (!chartsToggle.checked) return;
+    generated ??= colorConfigs.map(config => generateColor(config, defaults));
+    // Show the editor's changes in place of the configured scales
+    const results = generated.map(result => editedColors[result.name] ?? result);
+    updateCharts(results, showingDark ? 'dark' : 'light');
+  };
+  
+  chartsToggle.addEventListener('change', () => {
+    chartsPanel.classList.toggle('hidden', !chartsToggle.checked);
+    render();
+  });
+  document.addEventListener('scales-rendered', render);
+}
+
+// Initialize chart controls
+if (document.readyState === 'loading') {
+  document.addEventListener('DOMContentLoaded', initChartControls);
+} else {
+  initChartControls();
+}
+
+/**
+ * Hex values of the scales currently shown
+ * @returns {Object} { colorName: { step: hex } }
+ */
+function getShownColors() {
+  return Object.fromEntries(window.allColorScales.map(scale => [
+    scale.config.name,
+    Object.fromEntries(scale.steps.map((step, index) => [step, scale.hexValues[index]])),
+  ]));
+}
+
+// Harmony panel - compare each step across hues for the scales currently shown
+function initHarmonyControls() {
+  const harmonyToggle = document.getElementById('harmony-toggle');
+  const harmonyPanel = document.getElementById('harmony-panel');
+  
+  if (!harmonyToggle) return; // Exit if elements don't exist
+  
+  const updateHarmony = initHarmonyPanel(harmonyPanel, harmony);
+
+  const render = () => {
+    if (!harmonyToggle.checked || window.allColorScales.length === 0) return;
+    updateHarmony(getShownColors());
+  };
+  
+  harmonyToggle.addEventListener('change', () => {
+    harmonyPanel.classList.toggle('hidden', !harmonyToggle.checked);
+    render();
+  });
+  document.addEventListener('scales-rendered', render);
+}
+
+// Initialize harmony controls
+if (document.readyState === 'loading') {
+  document.addEventListener('DOMContentLoaded', initHarmonyControls);
+} else {
+  initHarmonyControls();
+}
+
+// CVD simulation - re-render the swatches as seen with a color vision deficiency
+function initCvdControls() {
+  const cvdToggle = document.getElementById('cvd-toggle');
+  const cvdPanel = document.getElementById('cvd-panel');
+  
+  if (!cvdToggle) return; // Exit if elements don't exist
+  
+  const applySimulation = () => {
+    document.querySelectorAll('.scales-container .swatch').forEach(swatch => {
+      swatch.style.backgroundColor = getSwatchBackground(swatch);
+    });
+  };
+
+  // Simulation chosen in the panel, kept while the toggle is off
+  let selected = null;
+  const updateReport = initCvdPanel(cvdPanel, (simulation) => {
+    selected = simulation;
+    cvdSimulation = cvdToggle.checked ? selected : null;
+    applySimulation();
+  });
+
+  const render = () => {
+    if (!cvdToggle.checked || window.allColorScales.length === 0) return;
+    updateReport(getShownColors());
+  };
+  
+  cvdToggle.addEventListener('change', () => {
+    cvdPanel.classList.toggle('hidden', !cvdToggle.checked);
+    cvdSimulation = cvdToggle.checked ? selected : null;
+    applySimulation();
+    render();
+  });
+  document.addEventListener('scales-rendered', render);
+}
+
+// Initialize CVD controls
+if (document.readyState === 'loading') {
+  document.addEventListener('DOMContentLoaded', initCvdControls);
+} else {
+  initCvdControls();
+}
+
+// Contrast matrix - any swatch as background, any other swatch as text
+function initMatrixControls() {
+  const matrixToggle = document.getElementById('matrix-toggle');
+  const matrixPanel = document.getElementById('matrix-panel');
+  
+  if (!matrixToggle) return; // Exit if elements don't exist
+  
+  const updateMatrix = initContrastMatrixPanel(matrixPanel);
+
+  const render = () => {
+    if (!matrixToggle.checked || window.allColorScales.length === 0) return;
+    updateMatrix(getShownColors());
+  };
+  
+  matrixToggle.addEventListener('change', () => {
+    matrixPanel.classList.toggle('hidden', !matrixToggle.checked);
+    render();
+  });
+  document.addEventListener('scales-rendered', render);
+}
+
+// Initialize matrix controls
+if (document.readyState === 'loading') {
+  document.addEventListener('DOMContentLoaded', initMatrixControls);
+} else {
+  initMatrixControls();
+}
+
+// Alpha panel - translucent variant of every shown step over the theme's background
+function initAlphaControls() {
+  const alphaToggle = document.getElementById('alpha-toggle');
+  const alphaPanel = document.getElementById('alpha-panel');
+  
+  if (!alphaToggle) return; // Exit if elements don't exist
+  
+  const updateAlpha = initAlphaPanel(alphaPanel, alpha);
+
+  const render = () => {
+    if (!alphaToggle.checked || window.allColorScales.length === 0) return;
+    updateAlpha(getShownColors(), showingDark ? 'dark' : 'light');
+  };
+  
+  alphaToggle.addEventListener('change', () => {
+    alphaPanel.classList.toggle('hidden', !alphaToggle.checked);
+    render();
+  });
+  document.addEventListener('scales-rendered', render);
+}
+
+// Initialize alpha controls
+if (document.readyState === 'loading') {
+  document.addEventListener('DOMContentLoaded', initAlphaControls);
+} else {
+  initAlphaControls();
+}
+
+// Diff panel - shown scales (with editor changes) against a previous build
+function initDiffControls() {
+  const diffToggle = document.getElementById('diff-toggle');
+  const diffPanel = document.getElementById('diff-panel');
+  
+  if (!diffToggle) return; // Exit if elements don't exist
+  
+  const updateDiff = initDiffPanel(diffPanel);
+
+  const render = () => {
+    if (!diffToggle.checked || window.allColorScales.length === 0) return;
+    updateDiff(getShownColors(), builtColors);
+  };
+  
+  diffToggle.addEventListener('change', () => {
+    diffPanel.classList.toggle('hidden', !diffToggle.checked);
+    render();
+  });
+  document.addEventListener('scales-rendered', render);
+}
+
+// Initialize diff controls
+if (document.readyState === 'loading') {
+  document.addEventListener('DOMContentLoaded', initDiffControls);
+} else {
+  initDiffControls();
+}
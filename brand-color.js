@@ -0,0 +1,198 @@
+// brand-color.js - Solve a color config whose scale hits a brand hex at a chosen step
+import Color from 'colorjs.io';
+import { resolveStepSet } from './scale-v2.js';
+import { generateColor, formatConfig } from './palette.js';
+import { validateConfig, formatConfigError } from './config-validation.js';
+
+/**
+ * OKhsl of a color in degrees/percentages, with hue and saturation at 0 for grays
+ */
+function toOkhsl(color) {
+  const [h, s, l] = color.to("okhsl").coords;
+  const isAchromatic = color.to("oklch").coords[1] < 0.0001;
+  return {
+    H: isAchromatic ? 0 : h,
+    S: isAchromatic ? 0 : s * 100,
+    L: l * 100,
+  };
+}
+
+/**
+ * Signed shortest difference between two hues (-180 to 180)
+ */
+function hueDifference(a, b) {
+  return ((a - b) % 360 + 540) % 360 - 180;
+}
+
+function wrapHue(hue) {
+  return ((hue % 360) + 360) % 360;
+}
+
+function clamp(value, min, max) {
+  return Math.min(Math.max(value, min), max);
+}
+
+/**
+ * Round every number in a config (nested progressions included)
+ */
+function roundConfig(value, decimals) {
+  if (typeof value === 'number') return Number(value.toFixed(decimals));
+  if (typeof value !== 'object') return value;
+  return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, roundConfig(item, decimals)]));
+}
+
+/**
+ * Solve a color config whose light scale has the target color at `step`
+ *
+ * First moves the base (baseStep) so the shared progressions in `defaults`
+ * land on the target: hue and saturation directly, lightness by Newton steps
+ * (lightness at a step is linear in the base lightness). Whatever the
+ * progressions can't reach on their own — a base saturation above 100%, or
+ * an anchored first/last step — is pinned with a per-color override at `step`.
+ *
+ * @param {string} name - Color name, used as "name-<baseStep>"
+ * @param {Object} target - Target OKhsl { H, S, L } (degrees/percentages)
+ * @param {number} step - Step that should equal the target
+ * @param {Object} palette - Resolved { defaults, colorConfigs } (see config-loader.js)
+ * @returns {Object} - Unrounded colorConfigs entry
+ */
+function solveConfig(name, target, step, { defaults, colorConfigs }) {
+  const { steps, baseStep } = resolveStepSet(defaults.steps, defaults.baseStep);
+  const index = steps.indexOf(step);
+  const getStepOkhsl = (config) => generateColor(config, defaults).light[index].okhsl;
+  // Anchored steps don't depend on the base lightness, so start from a typical one
+  const typicalLightness = colorConfigs.length > 0
+    ? colorConfigs.reduce((sum, { baseLightness }) => sum + baseLightness, 0) / colorConfigs.length
+    : target.L;
+  const config = {
+    name: `${name}-${baseStep}`,
+    baseHue: target.H,
+    baseSaturation: target.S,
+    baseLightness: step === baseStep ? target.L : typicalLightness,
+  };
+
+  for (let i = 0; i < 8; i++) {
+    const current = getStepOkhsl(config);
+    const slope = getStepOkhsl({ ...config, baseLightness: config.baseLightness + 1 }).L - current.L;
+
+    // Hue is meaningless for grays
+    if (target.S > 0) {
+      config.baseHue = wrapHue(config.baseHue + hueDifference(target.H, current.H));
+    }
+    if (current.S > 0) {
+      config.baseSaturation = clamp(config.baseSaturation * target.S / current.S, 0, 100);
+    }
+    if (Math.abs(slope) > 1e-6) {
+      config.baseLightness = clamp(config.baseLightness + (target.L - current.L) / slope, 0, 100);
+    }
+  }
+
+  // Pin the step with overrides where the base alone can't reach the target
+  const current = getStepOkhsl(config);
+
+  if (target.S > 0 && Math.abs(hueDifference(target.H, current.H)) > 0.001) {
+    config.hueProgression = { [step]: hueDifference(target.H, config.baseHue) };
+  }
+  if (Math.abs(target.S - current.S) > 0.001 && config.baseSaturation > 0) {
+    config.saturationProgression = { [step]: target.S / config.baseSaturation * 100 };
+  }
+  if (Math.abs(target.L - current.L) > 0.001) {
+    const startL = defaults.startL;
+    const endL = defaults.endL;
+    if (step === steps[0]) {
+      config.startL = target.L;
+    } else if (step === steps[steps.length - 1]) {
+      config.endL = target.L;
+    } else if (step < baseStep) {
+      config.lightnessProgression = { [step]: (target.L - startL) / (config.baseLightness - startL) * 100 };
+    } else {
+      config.lightnessProgression = { [step]: (target.L - config.baseLightness) / (endL - config.baseLightness) * 100 };
+    }
+  }
+
+  return config;
+}
+
+/**
+ * Solve a brand color at a step of a palette
+ *
+ * Rounds to colors-v2.js precision (2 decimals) first and to 4 only if
+ * rounding changes the hex, then validates the config: hitting the hex can
+ * take overrides that break the scale (e.g. a saturated color at a light
+ * step reverses the lightness order).
+ *
+ * @param {string} hex - Brand hex, with or without #
+ * @param {Object} palette - Resolved config (see config-loader.js)
+ * @param {Object} [options]
+ * @param {number} [options.step] - Step that should equal the hex (default: the base step)
+ * @param {string} [options.name] - Color name (default: brand)
+ * @returns {Object} - { hex, step, target, config, decimals, generated, stepHex, deltaE, exact, errors }
+ *   with target the input's OKhsl, generated the generateColor() result and
+ *   errors the validateConfig() entries
+ */
+export function solveBrandColor(hex, palette, { step, name = 'brand' } = {}) {
+  const { steps, baseStep } = resolveStepSet(palette.defaults.steps, palette.defaults.baseStep);
+  const brandStep = step ?? baseStep;
+  if (!steps.includes(brandStep)) {
+    throw new Error(`Invalid step "${step}", expected one of ${steps.join(', ')}`);
+  }
+
+  let color;
+  try {
+    color = new Color(hex.startsWith('#') ? hex : `#${hex}`);
+  } catch (error) {
+    throw new Error(`Invalid hex color "${hex}": ${error.message}`);
+  }
+  const inputHex = color.toString({ format: 'hex', collapse: false }).toUpperCase();
+
+  const target = toOkhsl(color);
+  const solved = solveConfig(name, target, brandStep, palette);
+
+  let result;
+  for (const decimals of [2, 4]) {
+    const config = roundConfig(solved, decimals);
+    const generated = generateColor(config, palette.defaults);
+    const stepHex = generated.hex[brandStep].toUpperCase();
+    result = { config, decimals, generated, stepHex, deltaE: color.deltaE(new Color(stepHex), 'OK') };
+    if (stepHex === inputHex) break;
+  }
+
+  return {
+    hex: inputHex,
+    step: brandStep,
+    target,
+    ...result,
+    exact: result.stepHex === inputHex,
+    errors: validateConfig({ defaults: palette.defaults, colorConfigs: [result.config] }),
+  };
+}
+
+/**
+ * Print a solved brand color: the config entry, the round-trip error at its
+ * step and the scale
+ *
+ * @param {Object} result - solveBrandColor() result
+ * @throws {Error} When the solved config doesn't validate
+ */
+export function printBrandColor({ hex, step, target, config, decimals, generated, stepHex, deltaE, exact, errors }) {
+  const { steps } = generated.options;
+  const index = steps.indexOf(step);
+  const scale = `\nScale: ${steps.map(s => `${s} ${generated.hex[s]}`).join('  ')}\n`;
+
+  console.log(`\nInput: ${hex} at step ${step}`);
+  console.log('\n------\n');
+  console.log(formatConfig(config, decimals));
+  console.log('\n------\n');
+
+  if (errors.length > 0) {
+    errors.forEach(error => console.log(`  ✗ ${formatConfigError(error)}`));
+    console.log(scale);
+    throw new Error(`${hex} can't sit at step ${step} with a valid scale (${errors.length} config error(s))`);
+  }
+
+  console.log(`Step ${step}: ${stepHex} ${exact ? '✓ exact match' : '✗ differs'} (ΔEOK ${deltaE.toFixed(4)})`);
+  const { okhsl } = generated.light[index];
+  const hueError = target.S > 0 ? `${hueDifference(okhsl.H, target.H).toFixed(4)}°` : 'n/a (gray)';
+  console.log(`OKhsl error: H ${hueError}, S ${(okhsl.S - target.S).toFixed(4)}%, L ${(okhsl.L - target.L).toFixed(4)}%`);
+  console.log(scale);
+}
@@ -1,84 +1,228 @@
 // build.js - Generate color-scale-v2.json from color configurations
-import Color from 'colorjs.io';
+// Run directly (`node build.js`) for the repo's colors-v2.js, or through cli.js for other configs.
 import fs from 'fs';
-import { generateScale } from './scale-v2.js';
-import { defaults, colorConfigs } from './colors-v2.js';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { resolveStepSet } from './scale-v2.js';
+import { generateColor } from './palette.js';
+import { loadConfig } from './config-loader.js';
+import { DEFAULT_FORMATS, listExporters, runExporters } from './exporters.js';
+import { resolveSemanticTokens, checkSemanticContrast } from './semantic-tokens.js';
+import { JSON_SCHEMAS, describeScale } from './scale-metadata.js';
+import { validateConfig, formatConfigError } from './config-validation.js';
+import { generateAlphaScale } from './alpha-scale.js';
+import { generateOnColors } from './on-colors.js';
+import { getContrastAlgorithm } from './contrast-algorithms.js';
 
-// Make Color available globally for Node.js environment
-globalThis.Color = Color;
+/**
+ * Print how far gamut mapping moved each out-of-gamut step (ΔEOK)
+ */
+function reportGamutMapping(label, scaleLCH, gamutMapping, log) {
+  const mappedSteps = scaleLCH.filter(({ deltaE }) => deltaE > 0);
+  if (mappedSteps.length > 0) {
+    const report = mappedSteps.map(({ step, deltaE }) => `${step} ΔE ${deltaE.toFixed(4)}`).join(', ');
+    log(`    ↳ ${label} ${gamutMapping} gamut mapping: ${report}`);
+  }
+}
 
 /**
- * Converts OKLCH coordinates to hex color string
+ * Print how many steps have an on-color reaching the target, naming the rest
  */
-function oklchToHex({ L, C, H }) {
-  return new Color("oklch", [L / 100, C, H])
-           .to("srgb")
-           .toString({ format: "hex", alpha: false, collapse: false });
+function reportOnColors(label, onColors, { method, target }, log) {
+  const steps = Object.entries(onColors).flatMap(([colorName, shades]) =>
+    Object.entries(shades).map(([step, result]) => ({ step: `${colorName}-${step}`, ...result }))
+  );
+  const failing = steps.filter(({ passed }) => !passed);
+  const { format, dotTarget } = getContrastAlgorithm(method);
+  log(`  ${label.padEnd(5)} ${steps.length - failing.length}/${steps.length} steps reach ${format(target ?? dotTarget)}`);
+  if (failing.length > 0) {
+    log(`    ↳ best available: ${failing.map(({ step, name, contrast }) => `${step} ${name} ${format(contrast)}`).join(', ')}`);
+  }
 }
 
-// Steps for the color scale (13-step system)
-const steps = [50, 100, 150, 200, 300, 400, 500, 600, 700, 800, 850, 900, 950];
+/**
+ * Check requested export formats, falling back to the config's `exportFormats`
+ * and then to the default outputs
+ * @param {Array<string>} formats - Requested formats (may be empty)
+ * @param {Object} config - Loaded config (see config-loader.js)
+ * @returns {Array<string>}
+ */
+export function resolveExportFormats(formats, config) {
+  const selected = formats.filter(Boolean);
+  const result = selected.length > 0 ? selected : (config.exportFormats ?? DEFAULT_FORMATS);
+
+  // Fail before generating anything if a format is misspelled
+  const available = [...Object.keys(listExporters()), 'all'];
+  const unknown = result.filter(format => !available.includes(format));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown export format "${unknown.join('", "')}", expected one of ${available.join(', ')}`);
+  }
+
+  return result;
+}
 
 /**
- * Generate color scale JSON from color configurations
+ * Check the JSON schema, falling back to the config's `jsonSchema`, then to the plain hex map
+ * @param {string} [schema] - Requested schema
+ * @param {Object} config - Loaded config (see config-loader.js)
+ * @returns {string}
  */
-function generateColorScale() {
-  console.log('🎨 Generating color scale...\n');
+export function resolveJsonSchema(schema, config) {
+  const result = schema ?? config.jsonSchema ?? 'hex';
+  if (!JSON_SCHEMAS.includes(result)) {
+    throw new Error(`Unknown JSON schema "${result}", expected one of ${JSON_SCHEMAS.join(', ')}`);
+  }
+  return result;
+}
+
+/**
+ * Read `--format css,scss` / `--format=css` (repeatable) and `--schema` from the command line
+ */
+function parseArgs(args) {
+  const formats = [];
+  let schema;
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (arg === '--format') {
+      formats.push(...(args[++i] ?? '').split(','));
+    } else if (arg.startsWith('--format=')) {
+      formats.push(...arg.slice('--format='.length).split(','));
+    } else if (arg === '--schema') {
+      schema = args[++i];
+    } else if (arg.startsWith('--schema=')) {
+      schema = arg.slice('--schema='.length);
+    }
+  }
+  return { formats, schema };
+}
+
+/**
+ * Generate every scale, resolve semantic tokens and check their contrast
+ *
+ * Validates the config first (see config-validation.js), then logs progress.
+ * Throws on config errors and when a semantic contrast check fails, so nothing
+ * gets written from a failing config.
+ *
+ * @param {Object} config - Loaded config (see config-loader.js)
+ * @param {Object} [options]
+ * @param {string} [options.schema] - JSON schema ('hex' or 'rich'); 'rich' also collects metadata
+ * @param {boolean} [options.quiet] - Only report failures
+ * @returns {Object} - Palette for the exporters ({ steps, colors, p3, dark, alpha, onColors, themes, schema, metadata })
+ */
+export function generatePalette(config, { schema = 'hex', quiet = false } = {}) {
+  const { defaults, colorConfigs, semanticTokens, semanticContrast, alpha, onColor } = config;
+  const log = quiet ? () => {} : console.log;
+
+  const errors = validateConfig(config);
+  if (errors.length > 0) {
+    errors.forEach(error => console.log(`  ✗ ${formatConfigError(error)}`));
+    throw new Error(`${errors.length} config error(s), nothing was generated`);
+  }
+
+  // Steps for the color scale (configured in colors-v2.js, 50-950 by default)
+  const { steps } = resolveStepSet(defaults.steps, defaults.baseStep);
 
   const scaleData = {};
+  const p3Data = {};
+  const darkData = {};
+  const alphaData = { background: alpha.background, light: {}, dark: {} };
+  const generated = {};
+
+  colorConfigs.forEach(colorConfig => {
+    const { name: colorName, options, light, dark, hex, p3, darkHex } = generateColor(colorConfig, defaults);
 
-  colorConfigs.forEach(config => {
-    const {
-      name,
-      baseHue,
-      baseSaturation,
-      baseLightness,
-      ...overrides
-    } = config;
-
-    // Merge defaults with color-specific overrides
-    const options = {
-      baseHue,
-      baseSaturation,
-      baseLightness,
-      startL: overrides.startL ?? defaults.startL,
-      endL: overrides.endL ?? defaults.endL,
-      hueProgression: { ...defaults.hueProgression, ...overrides.hueProgression },
-      saturationProgression: { ...defaults.saturationProgression, ...overrides.saturationProgression },
-      lightnessProgression: { ...defaults.lightnessProgression, ...overrides.lightnessProgression },
-    };
-
-    // Generate the full scale
-    const fullScaleLCH = generateScale(options);
-    const fullScaleHex = fullScaleLCH.map(oklchToHex);
-
-    // Extract base color name
-    const colorName = name.split('-')[0];
-    
-    // Build the color object (all 13 steps)
-    scaleData[colorName] = {};
-    fullScaleHex.forEach((hex, index) => {
-      scaleData[colorName][steps[index]] = hex;
+    scaleData[colorName] = hex;
+    p3Data[colorName] = p3;
+    darkData[colorName] = darkHex;
+    alphaData.light[colorName] = generateAlphaScale(hex, alpha.background.light, alpha);
+    alphaData.dark[colorName] = generateAlphaScale(darkHex, alpha.background.dark, alpha);
+    generated[colorName] = { light, dark };
+
+    log(`  ✓ ${colorName.padEnd(10)} - ${light.length} shades`);
+
+    reportGamutMapping('light', light, options.gamutMapping, log);
+    reportGamutMapping('dark', dark, options.gamutMapping, log);
+  });
+
+  // Foregrounds come from the finished scales, so a step can pick text from its own scale or the fallback
+  const onColors = { ...onColor, light: generateOnColors(scaleData, onColor), dark: generateOnColors(darkData, onColor) };
+  log(`\n🔤 On-colors (${onColor.method}):`);
+  reportOnColors('light', onColors.light, onColor, log);
+  reportOnColors('dark', onColors.dark, onColor, log);
+
+  const metadata = { light: {}, dark: {} };
+  if (schema === 'rich') {
+    Object.entries(generated).forEach(([colorName, { light, dark }]) => {
+      metadata.light[colorName] = describeScale(light, scaleData[colorName], onColors.light[colorName]);
+      metadata.dark[colorName] = describeScale(dark, darkData[colorName], onColors.dark[colorName]);
     });
+  }
 
-    console.log(`  ✓ ${colorName.padEnd(10)} - ${fullScaleHex.length} shades`);
+  // Resolve semantic roles and guard their contrast pairs
+  const themes = resolveSemanticTokens(semanticTokens, scaleData);
+  const contrastResults = checkSemanticContrast(semanticContrast, themes);
+  const failures = contrastResults.filter(result => !result.pass);
+
+  log(`\n🌓 Semantic tokens: ${Object.keys(semanticTokens).length} roles, ${contrastResults.length - failures.length}/${contrastResults.length} contrast checks passed`);
+  failures.forEach(({ mode, text, background, minLc, Lc }) => {
+    console.log(`  ✗ ${mode.padEnd(5)} ${text} on ${background}: Lc ${Lc.toFixed(1)} (min ${minLc})`);
   });
+  if (failures.length > 0) {
+    throw new Error(`${failures.length} semantic contrast check(s) below minimum, nothing was written`);
+  }
 
-  // Write to JSON file
-  const jsonFile = 'color-scale-v2.json';
-  fs.writeFileSync(jsonFile, JSON.stringify(scaleData, null, 2), 'utf-8');
-  
-  // Write to JS file (external module format)
-  const jsFile = 'color-scale-v2.js';
-  const jsContent = `// color-scale-v2.js
-const COLOR_SCALE = ${JSON.stringify(scaleData, null, 2)};
-`;
-  fs.writeFileSync(jsFile, jsContent, 'utf-8');
+  return { steps, colors: scaleData, p3: p3Data, dark: darkData, alpha: alphaData, onColors, themes, schema, metadata };
+}
+
+/**
+ * Write export formats to a directory (created if missing)
+ * @param {Array<string>} formats - Export format names
+ * @param {Object} palette - generatePalette() result
+ * @param {string} [outDir] - Output directory (default: current directory)
+ * @returns {Array<string>} - Paths written
+ */
+export function writeOutputs(formats, palette, outDir = '.') {
+  fs.mkdirSync(outDir, { recursive: true });
+  const files = runExporters(formats, palette);
+  console.log('');
+  return files.map(({ file, content }) => {
+    const target = path.join(outDir, file);
+    fs.writeFileSync(target, content, 'utf-8');
+    console.log(`✅ ${target} generated successfully!`);
+    return target;
+  });
+}
+
+/**
+ * Generate color scale JSON (and the other export formats) from color configurations
+ * @param {Array<string>} formats - Export format names
+ * @param {string} schema - JSON schema ('hex' or 'rich')
+ * @param {Object} config - Loaded config (see config-loader.js)
+ * @param {string} [outDir] - Output directory (default: current directory)
+ */
+export function generateColorScale(formats, schema, config, outDir = '.') {
+  console.log('🎨 Generating color scale...\n');
+
+  const palette = generatePalette(config, { schema });
+  writeOutputs(formats, palette, outDir);
   
-  console.log(`\n✅ ${jsonFile} generated successfully!`);
-  console.log(`✅ ${jsFile} generated successfully!`);
-  console.log(`📦 ${Object.keys(scaleData).length} color scales with ${steps.length} shades each\n`);
+  console.log(`📦 ${Object.keys(palette.colors).length} color scales with ${palette.steps.length} shades each\n`);
 }
 
-// Main execution
-generateColorScale();
+// Main execution (skipped when imported by cli.js)
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  if (process.argv.includes('--list-formats')) {
+    for (const [format, description] of Object.entries(listExporters())) {
+      console.log(`  ${format.padEnd(10)} ${description}`);
+    }
+  } else {
+    try {
+      const config = await loadConfig();
+      const { formats, schema } = parseArgs(process.argv.slice(2));
+      generateColorScale(resolveExportFormats(formats, config), resolveJsonSchema(schema, config), config);
+    } catch (error) {
+      console.error(`❌ Error: ${error.message}`);
+      process.exit(1);
+    }
+  }
+}
@@ -0,0 +1,326 @@
+#!/usr/bin/env node
+// cli.js - Command line entry point: build, export, inspect, check, seed, brand, harmony and diff
+import fs from 'fs';
+import { execFileSync } from 'child_process';
+import path from 'path';
+import { parseArgs } from 'util';
+import { loadConfig, DEFAULT_CONFIG_FILE } from './config-loader.js';
+import { generatePalette, writeOutputs, resolveExportFormats, resolveJsonSchema } from './build.js';
+import { listExporters } from './exporters.js';
+import { inspectHex } from './hex-to-okhsl.js';
+import { diffScales, findRegressions } from './scale-diff.js';
+import { toHexMap } from './scale-metadata.js';
+import { generateSeedPalette } from './seed-palette.js';
+import { solveBrandColor, printBrandColor } from './brand-color.js';
+import { printHarmonyReport } from './harmony-report.js';
+import { generateColor, formatConfig } from './palette.js';
+import { resolveStepSet } from './scale-v2.js';
+import { resolveSemanticTokens, checkSemanticContrast } from './semantic-tokens.js';
+import { validateConfig, formatConfigError } from './config-validation.js';
+
+const USAGE = `
+Usage: node cli.js <command> [options]
+
+Commands:
+  build              Generate the config's exportFormats
+  export             Generate only the formats given with --format
+  inspect <hex>      OKhsl values and white/black contrast of a hex color
+  check              Generate and run the contrast checks without writing anything
+  seed <hex>         Print a colorConfigs array built around a brand color, using the
+                     config's palette as the reference
+  brand <hex> [step] Print a colorConfigs entry whose scale has the hex at the step
+                     (default: the base step)
+  harmony            Report how uniform each step is across the config's hues
+  diff [file]        Compare the generated light scales with a previous color-scale-v2.json
+                     (default: color-scale-v2.json, or its copy at --rev)
+
+Options:
+  --config <file>    Config file (.js, .mjs, .json, .yaml, .yml), default colors-v2.js
+  --out <dir>        Output directory for build/export (default: current directory)
+  --format <list>    Export formats, comma separated or repeated (see --list-formats)
+  --schema <name>    JSON schema for build/export: hex or rich
+  --method <name>    Contrast method for inspect and diff (APCA, WCAG21, DeltaPhi, Lstar)
+  --rev <revision>   diff against the file as committed at a git revision (e.g. HEAD, main~3)
+  --threshold <ΔE>   diff fails when a swatch moves more than this ΔE2000 or loses a contrast threshold
+  --name <name>      Color name for brand (default: brand)
+  --dark             harmony reports the dark-mode scales
+  --strict           harmony fails when any step has outliers
+  --watch            Re-run build/export/check when the config file changes
+  --list-formats     List the available export formats
+  -h, --help         Show this help
+`;
+
+const OPTIONS = {
+  config: { type: 'string' },
+  out: { type: 'string', default: '.' },
+  format: { type: 'string', multiple: true },
+  schema: { type: 'string' },
+  method: { type: 'string' },
+  rev: { type: 'string' },
+  threshold: { type: 'string' },
+  name: { type: 'string', default: 'brand' },
+  dark: { type: 'boolean', default: false },
+  strict: { type: 'boolean', default: false },
+  watch: { type: 'boolean', default: false },
+  'list-formats': { type: 'boolean', default: false },
+  help: { type: 'boolean', short: 'h', default: false },
+};
+
+const WATCHABLE = ['build', 'export', 'check'];
+
+/**
+ * Split `--format css,scss --format dtcg` into ['css', 'scss', 'dtcg']
+ */
+function splitFormats(values = []) {
+  return values.flatMap(value => value.split(','));
+}
+
+/**
+ * Generate the scales and write the requested formats
+ */
+async function runBuild(options, { requireFormat = false } = {}) {
+  const config = await loadConfig(options.config);
+  const requested = splitFormats(options.format);
+  if (requireFormat && requested.length === 0) {
+    throw new Error('export needs at least one --format (see --list-formats)');
+  }
+  const formats = resolveExportFormats(requested, config);
+  const schema = resolveJsonSchema(options.schema, config);
+
+  console.log(`🎨 Generating color scale from ${path.relative(process.cwd(), config.file) || config.file}...\n`);
+  const palette = generatePalette(config, { schema });
+  writeOutputs(formats, palette, options.out);
+  console.log(`📦 ${Object.keys(palette.colors).length} color scales with ${palette.steps.length} shades each\n`);
+}
+
+/**
+ * Generate everything in memory and report, writing nothing
+ */
+async function runCheck(options) {
+  const config = await loadConfig(options.config);
+  console.log(`🔍 Checking ${path.relative(process.cwd(), config.file) || config.file}...\n`);
+  const palette = generatePalette(config);
+  console.log(`\n✅ ${Object.keys(palette.colors).length} color scales generated, all checks passed\n`);
+}
+
+/**
+ * Read a previous build's JSON from disk, or from a git revision
+ */
+function readPreviousBuild(file, rev) {
+  if (!rev) {
+    if (!fs.existsSync(file)) {
+      throw new Error(`File "${file}" not found`);
+    }
+    return fs.readFileSync(file, 'utf-8');
+  }
+  try {
+    // "./" makes git resolve the path from the current directory, not the repo root
+    const relative = path.relative(process.cwd(), path.resolve(file));
+    return execFileSync('git', ['show', `${rev}:./${relative}`], { encoding: 'utf-8', stdio: ['ignore', 'pipe', 'pipe'] });
+  } catch (error) {
+    throw new Error(`Could not read "${file}" at ${rev}: ${(error.stderr || error.message).trim()}`);
+  }
+}
+
+/**
+ * Compare the generated light scales with a previous build's JSON
+ */
+async function runDiff(options, file = 'color-scale-v2.json') {
+  const maxDeltaE = options.threshold === undefined ? undefined : Number(options.threshold);
+  if (maxDeltaE !== undefined && !(maxDeltaE >= 0)) {
+    throw new Error(`Invalid --threshold "${options.threshold}", expected a ΔE2000 of 0 or more`);
+  }
+
+  const previous = toHexMap(JSON.parse(readPreviousBuild(file, options.rev)));
+  const config = await loadConfig(options.config);
+  const { colors } = generatePalette(config, { quiet: true });
+  const diff = diffScales(previous, colors, { method: options.method });
+  const { changed, added, removed, unchanged, maxDeltaE: largest } = diff;
+
+  console.log(`\n🔀 ${file}${options.rev ? ` at ${options.rev}` : ''} → current build\n`);
+  changed.forEach(({ color, step, from, to, deltaE, gained, lost }) => {
+    const contrast = [
+      lost.length > 0 ? `lost ${lost.join(', ')}` : '',
+      gained.length > 0 ? `gained ${gained.join(', ')}` : '',
+    ].filter(Boolean).join('; ');
+    console.log(`  ~ ${`${color}-${step}`.padEnd(14)} ${from} → ${to}  ΔE ${deltaE.toFixed(2).padStart(5)}${contrast ? `  ${contrast}` : ''}`);
+  });
+  added.forEach(name => console.log(`  + ${name}`));
+  removed.forEach(name => console.log(`  - ${name}`));
+  console.log(`\n${changed.length} changed (max ΔE ${largest.toFixed(2)}), ${added.length} added, ${removed.length} removed, ${unchanged} unchanged\n`);
+
+  if (maxDeltaE !== undefined) {
+    const { exceeded, lost, failed } = findRegressions(diff, { maxDeltaE });
+    if (failed) {
+      throw new Error(`${exceeded.length} swatch(es) moved more than ΔE ${maxDeltaE}, ${lost.length} lost a contrast threshold`);
+    }
+    console.log(`✅ No swatch moved more than ΔE ${maxDeltaE} or lost a contrast threshold\n`);
+  }
+}
+
+/**
+ * Print a colorConfigs array derived from a seed color
+ */
+async function runSeed(options, hex) {
+  if (!hex) {
+    throw new Error('seed needs a hex color, e.g. node cli.js seed 6D4AFF');
+  }
+  const config = await loadConfig(options.config);
+  const { seed, colorConfigs, report } = generateSeedPalette(hex, {
+    colorConfigs: config.colorConfigs,
+    defaults: config.defaults,
+    neutrals: config.harmony?.neutrals,
+  });
+
+  const entries = colorConfigs.map(entry => formatConfig(entry).replace(/^/gm, '  '));
+  console.log(`\n🌱 ${hex} replaces ${seed}\n`);
+  console.log(`export const colorConfigs = [\n${entries.join('\n')}\n];`);
+  console.log('\n------\n');
+
+  const { baseStep } = resolveStepSet(config.defaults.steps, config.defaults.baseStep);
+  const format = ({ L, C, H }) => `L ${L.toFixed(3)} C ${C.toFixed(3)} H ${H.toFixed(1).padStart(5)}`;
+  const scales = colorConfigs.map(entry => generateColor(entry, config.defaults));
+  report.forEach(({ name, role, hueShift, from, to }, index) => {
+    const { hex: scale } = scales[index];
+    const shift = `${hueShift >= 0 ? '+' : ''}${hueShift.toFixed(1)}°`;
+    console.log(`  ${name.padEnd(10)} ${role.padEnd(9)} ${shift.padStart(7)}  ${format(from)} → ${format(to)}  ${baseStep} ${scale[baseStep]}`);
+  });
+
+  const errors = validateConfig({ defaults: config.defaults, colorConfigs });
+  errors.forEach(error => console.log(`  ✗ ${formatConfigError(error)}`));
+  if (errors.length > 0) {
+    throw new Error(`${errors.length} config error(s) in the generated palette`);
+  }
+
+  // Semantic tokens reference these scales by name, so check their pairs still hold
+  const themes = resolveSemanticTokens(config.semanticTokens, Object.fromEntries(scales.map(({ name, hex }) => [name, hex])));
+  const failures = checkSemanticContrast(config.semanticContrast, themes).filter(result => !result.pass);
+  if (failures.length > 0) {
+    console.warn(`\n⚠️  ${failures.length} semantic contrast check(s) fail with this palette:`);
+    failures.forEach(({ mode, text, background, minLc, Lc }) => {
+      console.warn(`  ✗ ${mode.padEnd(5)} ${text} on ${background}: Lc ${Lc.toFixed(1)} (min ${minLc})`);
+    });
+  }
+  console.log('');
+}
+
+/**
+ * Print a colorConfigs entry that puts a brand hex at a step of the config's scales
+ */
+async function runBrand(options, hex, step) {
+  if (!hex) {
+    throw new Error('brand needs a hex color, e.g. node cli.js brand 6D4AFF 600');
+  }
+  if (step !== undefined && !Number.isFinite(Number(step))) {
+    throw new Error(`Invalid step "${step}", expected a step number like 600`);
+  }
+  const config = await loadConfig(options.config);
+  printBrandColor(solveBrandColor(hex, config, {
+    step: step === undefined ? undefined : Number(step),
+    name: options.name,
+  }));
+}
+
+/**
+ * Print the cross-hue harmony report of the config's scales
+ */
+async function runHarmony(options) {
+  const config = await loadConfig(options.config);
+  const { outlierCount } = printHarmonyReport(config, { mode: options.dark ? 'dark' : 'light' });
+  if (options.strict && outlierCount > 0) {
+    throw new Error(`${outlierCount} outlier(s) beyond tolerance (--strict)`);
+  }
+}
+
+/**
+ * Run one command, returning false when it failed
+ */
+async function run(command, options, positionals) {
+  try {
+    switch (command) {
+      case 'build':
+        await runBuild(options);
+        break;
+      case 'export':
+        await runBuild(options, { requireFormat: true });
+        break;
+      case 'inspect':
+        if (!positionals[0]) throw new Error('inspect needs a hex color, e.g. node cli.js inspect 6D4AFF');
+        inspectHex(positionals[0], options.method);
+        break;
+      case 'check':
+        await runCheck(options);
+        break;
+      case 'seed':
+        await runSeed(options, positionals[0]);
+        break;
+      case 'brand':
+        await runBrand(options, positionals[0], positionals[1]);
+        break;
+      case 'harmony':
+        await runHarmony(options);
+        break;
+      case 'diff':
+        await runDiff(options, positionals[0]);
+        break;
+      default:
+        throw new Error(`Unknown command "${command}", expected build, export, inspect, check, seed, brand, harmony or diff`);
+    }
+    return true;
+  } catch (error) {
+    console.error(`❌ Error: ${error.message}`);
+    return false;
+  }
+}
+
+/**
+ * Re-run a command whenever the config file changes
+ *
+ * Watches the file's directory rather than the file itself, so editors that
+ * save by replacing the file keep triggering rebuilds.
+ */
+function watch(command, options, positionals) {
+  const file = path.resolve(options.config ?? DEFAULT_CONFIG_FILE);
+  let timer = null;
+
+  fs.watch(path.dirname(file), (event, name) => {
+    if (name !== path.basename(file)) return;
+    clearTimeout(timer);
+    timer = setTimeout(async () => {
+      console.log(`\n🔄 ${path.basename(file)} changed, running ${command}...\n`);
+      await run(command, options, positionals);
+    }, 100);
+  });
+
+  console.log(`👀 Watching ${path.relative(process.cwd(), file) || file} for changes (Ctrl+C to stop)`);
+}
+
+// Main execution
+let parsed;
+try {
+  parsed = parseArgs({ options: OPTIONS, allowPositionals: true });
+} catch (error) {
+  console.error(`❌ Error: ${error.message}`);
+  console.log(USAGE);
+  process.exit(1);
+}
+
+const { values: options, positionals: [command, ...positionals] } = parsed;
+
+if (options['list-formats']) {
+  for (const [format, description] of Object.entries(listExporters())) {
+    console.log(`  ${format.padEnd(10)} ${description}`);
+  }
+} else if (options.help || !command) {
+  console.log(USAGE);
+} else if (options.watch && !WATCHABLE.includes(command)) {
+  console.error(`❌ Error: --watch works with ${WATCHABLE.join(', ')}`);
+  process.exit(1);
+} else {
+  const ok = await run(command, options, positionals);
+  if (options.watch) {
+    watch(command, options, positionals);
+  } else if (!ok) {
+    process.exit(1);
+  }
+}
@@ -241,3 +241,491 @@ const COLOR_SCALE = {
     "950": "#0b0b0b"
   }
 };
+
+// Alpha variants, matching each step over #ffffff
+const COLOR_SCALE_ALPHA = {
+  "red": {
+    "50": "#d100170b",
+    "100": "#dc00091d",
+    "150": "#e700122a",
+    "200": "#ea000d3d",
+    "300": "#ef000e70",
+    "400": "#ef001194",
+    "500": "#ef001ec9",
+    "600": "#cc001cce",
+    "700": "#930017dc",
+    "800": "#59000ee9",
+    "850": "#42000bef",
+    "900": "#2a0006f7",
+    "950": "#180003fc"
+  },
+  "orange": {
+    "50": "#f1710012",
+    "100": "#ec6a0029",
+    "150": "#f1690038",
+    "200": "#f5660050",
+    "300": "#f85e008a",
+    "400": "#f95800ae",
+    "500": "#fd5d00ed",
+    "600": "#e04200e3",
+    "700": "#a42700e7",
+    "800": "#641100ee",
+    "850": "#4a0b00f2",
+    "900": "#2e0400f8",
+    "950": "#180100fc"
+  },
+  "amber": {
+    "50": "#e99b0017",
+    "100": "#ef92002f",
+    "150": "#f792003f",
+    "200": "#f9900057",
+    "300": "#f8880092",
+    "400": "#f98400b7",
+    "500": "#fa8e00fa",
+    "600": "#e06f00eb",
+    "700": "#a94900f0",
+    "800": "#692500f5",
+    "850": "#4e1800f7",
+    "900": "#310b00fb",
+    "950": "#180300fd"
+  },
+  "yellow": {
+    "50": "#e3b3001b",
+    "100": "#e9ae002f",
+    "150": "#f3b1003e",
+    "200": "#f6b00054",
+    "300": "#f8ae008b",
+    "400": "#fbae00b1",
+    "500": "#fbb600f0",
+    "600": "#e09500e7",
+    "700": "#a56600ec",
+    "800": "#643800f4",
+    "850": "#4b2800f8",
+    "900": "#2d1500fc",
+    "950": "#140700fe"
+  },
+  "lime": {
+    "50": "#8fcc0019",
+    "100": "#8dce002f",
+    "150": "#8fd80042",
+    "200": "#95dc0060",
+    "300": "#91d9009c",
+    "400": "#8cd700ba",
+    "500": "#81d000cd",
+    "600": "#64ad00c7",
+    "700": "#3c7100cf",
+    "800": "#203e00e2",
+    "850": "#162c00eb",
+    "900": "#0c1b00f6",
+    "950": "#040b00fc"
+  },
+  "green": {
+    "50": "#00c60012",
+    "100": "#00d2112d",
+    "150": "#00dc1742",
+    "200": "#00de2763",
+    "300": "#00c43798",
+    "400": "#00b541b0",
+    "500": "#00a648c6",
+    "600": "#008940c7",
+    "700": "#005f30d5",
+    "800": "#00371fe7",
+    "850": "#002a17ef",
+    "900": "#001b0ff8",
+    "950": "#000d07fd"
+  },
+  "teal": {
+    "50": "#00eb9919",
+    "100": "#00eaa23c",
+    "150": "#00eeac59",
+    "200": "#00eeb888",
+    "300": "#00d5b1c4",
+    "400": "#00c7acdb",
+    "500": "#00b9a6f0",
+    "600": "#009c8ce5",
+    "700": "#006d62e7",
+    "800": "#00403af0",
+    "850": "#00302cf5",
+    "900": "#001d1afb",
+    "950": "#000e0cfe"
+  },
+  "cyan": {
+    "50": "#00c2e715",
+    "100": "#00c6ea31",
+    "150": "#00c8ed46",
+    "200": "#00c7f065",
+    "300": "#00c2e8b1",
+    "400": "#00b9ded3",
+    "500": "#00add1ed",
+    "600": "#0094b5e7",
+    "700": "#006982ea",
+    "800": "#003e4ff3",
+    "850": "#002e3bf7",
+    "900": "#001b25fb",
+    "950": "#000d12fe"
+  },
+  "blue": {
+    "50": "#006ddb0e",
+    "100": "#0075e923",
+    "150": "#0078ea31",
+    "200": "#007aed47",
+    "300": "#007af17f",
+    "400": "#007cf2a3",
+    "500": "#0080f3d3",
+    "600": "#006fd7da",
+    "700": "#0051a1e7",
+    "800": "#003165f1",
+    "850": "#00234cf5",
+    "900": "#001530fa",
+    "950": "#00091afd"
+  },
+  "iris": {
+    "50": "#001ae60a",
+    "100": "#0022e61e",
+    "150": "#001ee72b",
+    "200": "#0015ee3d",
+    "300": "#0005f569",
+    "400": "#0f00f987",
+    "500": "#3100ffb5",
+    "600": "#4200efce",
+    "700": "#3400afdc",
+    "800": "#20006ae8",
+    "850": "#190050ee",
+    "900": "#110035f6",
+    "950": "#090021fb"
+  },
+  "purple": {
+    "50": "#4d00cc0a",
+    "100": "#5b00db1c",
+    "150": "#6000df28",
+    "200": "#6c00e53b",
+    "300": "#7b00ee6c",
+    "400": "#8a00f390",
+    "500": "#9d00f7c6",
+    "600": "#9300d8d7",
+    "700": "#70009ce5",
+    "800": "#46005eef",
+    "850": "#360046f4",
+    "900": "#23002cf9",
+    "950": "#140019fd"
+  },
+  "magenta": {
+    "50": "#a200a20b",
+    "100": "#b000b01d",
+    "150": "#b600b02a",
+    "200": "#bb00aa3c",
+    "300": "#cb00b571",
+    "400": "#d900bd9b",
+    "500": "#d900b8ce",
+    "600": "#bf009fd8",
+    "700": "#8e0075e7",
+    "800": "#560044ef",
+    "850": "#410032f3",
+    "900": "#29001ff9",
+    "950": "#170010fd"
+  },
+  "pink": {
+    "50": "#d1005d0b",
+    "100": "#dd005e1e",
+    "150": "#e1005f2b",
+    "200": "#e7005d3f",
+    "300": "#f0006376",
+    "400": "#f400689f",
+    "500": "#f00075dd",
+    "600": "#d10061df",
+    "700": "#9a0045e9",
+    "800": "#5f0027f1",
+    "850": "#47001cf4",
+    "900": "#2e0011fa",
+    "950": "#190007fd"
+  },
+  "haze": {
+    "50": "#00005506",
+    "100": "#0900551b",
+    "150": "#0c005729",
+    "200": "#1000563e",
+    "300": "#10004b70",
+    "400": "#0d00428c",
+    "500": "#0b0032a9",
+    "600": "#09002ab2",
+    "700": "#07001ec4",
+    "800": "#040012d8",
+    "850": "#02000ee1",
+    "900": "#02000aec",
+    "950": "#020007f5"
+  },
+  "slate": {
+    "50": "#00002b06",
+    "100": "#0012241c",
+    "150": "#00182f2b",
+    "200": "#001b3741",
+    "300": "#001a3675",
+    "400": "#00183693",
+    "500": "#00132db0",
+    "600": "#001128b9",
+    "700": "#000d1eca",
+    "800": "#000915dd",
+    "850": "#00040be3",
+    "900": "#000306ed",
+    "950": "#000001f4"
+  },
+  "neutral": {
+    "50": "#00000006",
+    "100": "#0000001a",
+    "150": "#00000027",
+    "200": "#0000003b",
+    "300": "#0000006a",
+    "400": "#00000086",
+    "500": "#000000a3",
+    "600": "#000000ad",
+    "700": "#000000c0",
+    "800": "#000000d6",
+    "850": "#000000df",
+    "900": "#000000eb",
+    "950": "#000000f4"
+  }
+};
+
+// On-colors, the foreground for text on each step
+const COLOR_SCALE_ON = {
+  "red": {
+    "50": "#d63148",
+    "100": "#a22337",
+    "150": "#a22337",
+    "200": "#671623",
+    "300": "#000000",
+    "400": "#ffffff",
+    "500": "#fdf4f5",
+    "600": "#fbe2e3",
+    "700": "#fbd5d8",
+    "800": "#fac2c5",
+    "850": "#fac2c5",
+    "900": "#fac2c5",
+    "950": "#fac2c5"
+  },
+  "orange": {
+    "50": "#ad3b18",
+    "100": "#ad3b18",
+    "150": "#ad3b18",
+    "200": "#6e2111",
+    "300": "#53170d",
+    "400": "#000000",
+    "500": "#ffffff",
+    "600": "#fef5ed",
+    "700": "#fcdec7",
+    "800": "#fccfaf",
+    "850": "#fba875",
+    "900": "#fba875",
+    "950": "#fba875"
+  },
+  "amber": {
+    "50": "#ae540f",
+    "100": "#ae540f",
+    "150": "#ae540f",
+    "200": "#6f2e0a",
+    "300": "#6f2e0a",
+    "400": "#340f04",
+    "500": "#000000",
+    "600": "#ffffff",
+    "700": "#fde4c0",
+    "800": "#fbbb6d",
+    "850": "#fbbb6d",
+    "900": "#fba748",
+    "950": "#fba748"
+  },
+  "yellow": {
+    "50": "#ac7113",
+    "100": "#6b410b",
+    "150": "#6b410b",
+    "200": "#6b410b",
+    "300": "#6b410b",
+    "400": "#6b410b",
+    "500": "#502e07",
+    "600": "#000000",
+    "700": "#fcecc1",
+    "800": "#fcc74e",
+    "850": "#fbba0f",
+    "900": "#fbba0f",
+    "950": "#fbba0f"
+  },
+  "lime": {
+    "50": "#618c30",
+    "100": "#39541d",
+    "150": "#39541d",
+    "200": "#39541d",
+    "300": "#39541d",
+    "400": "#39541d",
+    "500": "#283d14",
+    "600": "#070e03",
+    "700": "#e2f5bd",
+    "800": "#abe245",
+    "850": "#9ad932",
+    "900": "#9ad932",
+    "950": "#9ad932"
+  },
+  "green": {
+    "50": "#2a7952",
+    "100": "#2a7952",
+    "150": "#2a7952",
+    "200": "#184a34",
+    "300": "#184a34",
+    "400": "#072116",
+    "500": "#000000",
+    "600": "#ffffff",
+    "700": "#9cf2ab",
+    "800": "#67dc88",
+    "850": "#67dc88",
+    "900": "#67dc88",
+    "950": "#67dc88"
+  },
+  "teal": {
+    "50": "#187b71",
+    "100": "#187b71",
+    "150": "#187b71",
+    "200": "#0f4b46",
+    "300": "#0f4b46",
+    "400": "#04211e",
+    "500": "#000000",
+    "600": "#ffffff",
+    "700": "#77f6d9",
+    "800": "#3bdfc3",
+    "850": "#3bdfc3",
+    "900": "#3bdfc3",
+    "950": "#3bdfc3"
+  },
+  "cyan": {
+    "50": "#15758c",
+    "100": "#15758c",
+    "150": "#15758c",
+    "200": "#0c4757",
+    "300": "#0c4757",
+    "400": "#041f28",
+    "500": "#000000",
+    "600": "#ffffff",
+    "700": "#b9f0fa",
+    "800": "#4ed5ef",
+    "850": "#4ed5ef",
+    "900": "#2cc5e4",
+    "950": "#2cc5e4"
+  },
+  "blue": {
+    "50": "#2584dd",
+    "100": "#1861aa",
+    "150": "#1861aa",
+    "200": "#0e3c6d",
+    "300": "#051a34",
+    "400": "#000000",
+    "500": "#ffffff",
+    "600": "#f1f7fd",
+    "700": "#cee5fb",
+    "800": "#b8dafa",
+    "850": "#b8dafa",
+    "900": "#80bdf8",
+    "950": "#80bdf8"
+  },
+  "iris": {
+    "50": "#6631f2",
+    "100": "#6631f2",
+    "150": "#5023ba",
+    "200": "#341777",
+    "300": "#ffffff",
+    "400": "#f5f6fe",
+    "500": "#e1e5fc",
+    "600": "#d4d9fb",
+    "700": "#c2c7fb",
+    "800": "#c2c7fb",
+    "850": "#c2c7fb",
+    "900": "#c2c7fb",
+    "950": "#c2c7fb"
+  },
+  "purple": {
+    "50": "#b339f9",
+    "100": "#a428de",
+    "150": "#7f1aa6",
+    "200": "#521068",
+    "300": "#000000",
+    "400": "#ffffff",
+    "500": "#f8f5fd",
+    "600": "#ede3fb",
+    "700": "#ddc4f9",
+    "800": "#ddc4f9",
+    "850": "#ddc4f9",
+    "900": "#ddc4f9",
+    "950": "#ddc4f9"
+  },
+  "magenta": {
+    "50": "#c927ae",
+    "100": "#991882",
+    "150": "#991882",
+    "200": "#611050",
+    "300": "#000000",
+    "400": "#ffffff",
+    "500": "#fbf4fb",
+    "600": "#f6e2f6",
+    "700": "#f3d5f2",
+    "800": "#efc3eb",
+    "850": "#efc3eb",
+    "900": "#efc3eb",
+    "950": "#efc3eb"
+  },
+  "pink": {
+    "50": "#d72075",
+    "100": "#a31655",
+    "150": "#a31655",
+    "200": "#680e33",
+    "300": "#000000",
+    "400": "#ffffff",
+    "500": "#fdf4f8",
+    "600": "#fbe1ec",
+    "700": "#fad4e4",
+    "800": "#f9c0d7",
+    "850": "#f9c0d7",
+    "900": "#f9c0d7",
+    "950": "#f9c0d7"
+  },
+  "haze": {
+    "50": "#7a7397",
+    "100": "#5d5677",
+    "150": "#5d5677",
+    "200": "#403b52",
+    "300": "#ffffff",
+    "400": "#f9f9fb",
+    "500": "#d8d6e4",
+    "600": "#d8d6e4",
+    "700": "#c5c1d6",
+    "800": "#c5c1d6",
+    "850": "#c5c1d6",
+    "900": "#c5c1d6",
+    "950": "#c5c1d6"
+  },
+  "slate": {
+    "50": "#4f5c6e",
+    "100": "#4f5c6e",
+    "150": "#4f5c6e",
+    "200": "#353f4d",
+    "300": "#ffffff",
+    "400": "#f9f9fa",
+    "500": "#d4d8dc",
+    "600": "#d4d8dc",
+    "700": "#bec5cc",
+    "800": "#bec5cc",
+    "850": "#bec5cc",
+    "900": "#bec5cc",
+    "950": "#bec5cc"
+  },
+  "neutral": {
+    "50": "#0b0b0b",
+    "100": "#0b0b0b",
+    "150": "#0b0b0b",
+    "200": "#0b0b0b",
+    "300": "#ffffff",
+    "400": "#f9f9f9",
+    "500": "#f9f9f9",
+    "600": "#f9f9f9",
+    "700": "#f9f9f9",
+    "800": "#f9f9f9",
+    "850": "#f9f9f9",
+    "900": "#f9f9f9",
+    "950": "#f9f9f9"
+  }
+};
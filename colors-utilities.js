@@ -1,21 +1,22 @@
 // colors-utilities.js
-// Note: Assumes Color is available globally
-// - In browser: imported by app.js
-// - In Node.js: provided by build.js via globalThis.Color
+// Display and contrast helpers shared by the browser (app.js) and build-time tooling.
+// Contrast functions take explicit options ({ method, target }) instead of reading globals.
+import Color from "colorjs.io";
+import { DEFAULT_CONTRAST_METHOD, getContrastAlgorithm, measurePairing } from "./contrast-algorithms.js";
 
 /**
- * Computes the contrast dot color using APCA
+ * Computes the contrast dot color (recommended foreground) for a swatch
  * @param {string} hex - Hex color string (e.g., "#ff0000")
+ * @param {Object} [options]
+ * @param {string} [options.method] - Key of CONTRAST_ALGORITHMS (default: APCA)
+ * @param {number} [options.target] - Minimum for white text (default: the algorithm's dotTarget)
  * @returns {string} Either "#ffffff" or "#000000"
  */
-export function computeContrastDotColor(hex) {
-  const bg = new Color(hex);
-  const white = new Color('#ffffff');
+export function computeContrastDotColor(hex, { method = DEFAULT_CONTRAST_METHOD, target } = {}) {
+  const contrast = measurePairing(hex, 'whiteOn', method);
   
-  const apcaContrast = Math.abs(bg.contrast(white, window.CONTRAST_CONFIG.method));
-  
-  // Use white if it meets the target APCA contrast, otherwise use black
-  return apcaContrast >= window.CONTRAST_CONFIG.targetLc ? "#ffffff" : "#000000";
+  // Use white if it meets the target, otherwise use black
+  return contrast >= (target ?? getContrastAlgorithm(method).dotTarget) ? "#ffffff" : "#000000";
 }
 
 /**
@@ -40,94 +41,60 @@ export function hexToOkhslString(hex) {
 }
 
 /**
- * Calculates the APCA contrast value between a color and white
+ * Calculates the contrast of white text on a color
  * @param {string} hex - Hex color string (e.g., "#ff0000")
- * @returns {number} APCA contrast value (Lc)
+ * @param {Object} [options]
+ * @param {string} [options.method] - Key of CONTRAST_ALGORITHMS (default: APCA)
+ * @returns {number} Absolute contrast in the method's units (APCA: Lc)
  */
-export function getContrastAgainstWhite(hex) {
-  const bg = new Color(hex);
-  const white = new Color('#ffffff');
-  return Math.abs(bg.contrast(white, window.CONTRAST_CONFIG.method));
+export function getContrastAgainstWhite(hex, { method = DEFAULT_CONTRAST_METHOD } = {}) {
+  return measurePairing(hex, 'whiteOn', method);
 }
 
 /**
- * Finds the index of the first shade with sufficient APCA contrast (white text on color)
+ * Finds the index of the first shade with sufficient contrast (white text on color)
  * @param {Array<string>} hexValues - Array of hex color codes
- * @param {number} targetLc - Target Lc value (default: 60)
+ * @param {Object} [options]
+ * @param {string} [options.method] - Key of CONTRAST_ALGORITHMS (default: APCA)
+ * @param {number} [options.target] - Minimum contrast (default: the algorithm's dotTarget, Lc 60 for APCA)
  * @returns {number} Index of first contrasty shade, or -1 if none found
  */
-export function findFirstContrastyShade(hexValues, targetLc = 60) {
-  for (let i = 0; i < hexValues.length; i++) {
-    // White text on color background
-    const bg = new Color(hexValues[i]);
-    const white = new Color('#ffffff');
-    const contrast = Math.abs(bg.contrast(white, window.CONTRAST_CONFIG.method));
-    if (contrast >= targetLc) {
-      return i;
-    }
-  }
-  return -1;
+export function findFirstContrastyShade(hexValues, { method = DEFAULT_CONTRAST_METHOD, target } = {}) {
+  const minimum = target ?? getContrastAlgorithm(method).dotTarget;
+  return hexValues.findIndex(hex => measurePairing(hex, 'whiteOn', method) >= minimum);
 }
 
 /**
  * Finds the index of the first shade where color on white meets Lc75
+ * Lc is an APCA level, so this always measures with APCA.
  * @param {Array<string>} hexValues - Array of hex color codes
  * @returns {number} Index of first shade meeting Lc75, or -1 if none found
  */
 export function findFirstLc75Shade(hexValues) {
-  for (let i = 0; i < hexValues.length; i++) {
-    // Color text on white background
-    const color = new Color(hexValues[i]);
-    const white = new Color('#ffffff');
-    const contrast = Math.abs(white.contrast(color, window.CONTRAST_CONFIG.method));
-    if (contrast >= 75) {
-      return i;
-    }
-  }
-  return -1;
+  // Color text on white background
+  return hexValues.findIndex(hex => measurePairing(hex, 'onWhite', 'APCA') >= 75);
 }
 
 /**
- * Checks which swatches meet each contrast criterion
+ * Checks which swatches meet each threshold of a contrast algorithm
  * @param {Array<string>} hexValues - Array of hex color codes
- * @returns {Object} Object with arrays of booleans for each contrast type
+ * @param {Object} [options]
+ * @param {string} [options.method] - Key of CONTRAST_ALGORITHMS (default: APCA)
+ * @returns {Object} Object with arrays of booleans for each threshold id (e.g. 'lc60-white')
  */
-export function getContrastMasks(hexValues) {
-  const white = new Color('#ffffff');
-  const black = new Color('#000000');
+export function getContrastMasks(hexValues, { method = DEFAULT_CONTRAST_METHOD } = {}) {
+  const { thresholds } = getContrastAlgorithm(method);
+  const masks = Object.fromEntries(thresholds.map(({ id }) => [id, []]));
   
-  const masks = {
-    'lc60-white': [],  // White on color >= Lc60 (APCA)
-    'lc60-black': [],  // Black on color >= Lc60 (APCA)
-    'lc70-white': [],  // Color on white >= Lc70 (APCA)
-    'lc70-black': [],  // Color on black >= Lc70 (APCA)
-    'lc30-white': [],  // Color on white >= Lc30 (APCA)
-    'lc30-black': [],  // Color on black >= Lc30 (APCA)
-  };
-  
-  for (let i = 0; i < hexValues.length; i++) {
-    const color = new Color(hexValues[i]);
-    
-    // White on color (color as background, white as text) - APCA
-    const whiteOnColor = Math.abs(color.contrast(white, 'APCA'));
-    masks['lc60-white'].push(whiteOnColor >= 60);
-    
-    // Black on color (color as background, black as text) - APCA
-    const blackOnColor = Math.abs(color.contrast(black, 'APCA'));
-    masks['lc60-black'].push(blackOnColor >= 60);
-    
-    // Color on white (white as background, color as text) - APCA
-    const colorOnWhite = Math.abs(white.contrast(color, 'APCA'));
-    masks['lc70-white'].push(colorOnWhite >= 70);
-    masks['lc30-white'].push(colorOnWhite >= 30);
-
-    // Color on black (black as background, color as text) - APCA
-    const colorOnBlack = Math.abs(black.contrast(color, 'APCA'));
-    masks['lc70-black'].push(colorOnBlack >= 70);
-    masks['lc30-black'].push(colorOnBlack >= 30);
+  for (const hex of hexValues) {
+    const color = new Color(hex);
+    // Measure each pairing once, several thresholds can share it
+    const measured = {};
+    for (const { id, min, pairing } of thresholds) {
+      measured[pairing] ??= measurePairing(color, pairing, method);
+      masks[id].push(measured[pairing] >= min);
+    }
   }
   
   return masks;
 }
-
- 
\ No newline at end of file
@@ -1,8 +1,14 @@
 // colors-v2.js - Simplified progression array system
 
 
-// 1) Export stepsCount
-export const stepsCount = 13;
+// 1) Export step set
+// Step numbers shared by every scale: the first and last are the lightness anchors
+// (startL/endL), baseStep holds each color's base value. Progressions, contrast targets
+// and semantic tokens below are keyed by these numbers, so update them together.
+// e.g. Radix-style: [1, 2, ..., 12] with baseStep 9, or [0, 100, ..., 1000] with baseStep 500.
+export const steps = [50, 100, 150, 200, 300, 400, 500, 600, 700, 800, 850, 900, 950];
+export const baseStep = 500;
+export const stepsCount = steps.length;
 
 
 //
@@ -10,9 +16,13 @@ export const stepsCount = 13;
 // This ensures colors adapt naturally while maintaining consistent endpoints across all hues.
 
 export const defaults = {
+  // Step set (see above), shared by every color
+  steps,
+  baseStep,
+
   // Lightness anchors (absolute values at endpoints)
-  startL: 97,    // Lightest tint at step 50 (absolute %)
-  endL: 6,     // Darkest shade at step 950 (absolute %)
+  startL: 97,    // Lightest tint at the first step (absolute %)
+  endL: 6,     // Darkest shade at the last step (absolute %)
 
   // Hue shifts in degrees for specific steps
   // Positive = warmer, negative = cooler
@@ -23,25 +33,68 @@ export const defaults = {
   saturationProgression: { 50: 75, 950: 80 },
 
   // Lightness as % of range between anchors (RELATIVE)
-  // For tints (< 500): % progress from startL (98%) to baseLightness
-  // For shades (> 500): % progress from baseLightness to endL (9.5%)
-  // Step 50 always = startL, step 950 always = endL (anchored, no need to specify)
-  // Unspecified steps = linear interpolation between control points
+  // For tints (< baseStep): % progress from startL to baseLightness
+  // For shades (> baseStep): % progress from baseLightness to endL
+  // The first step always = startL, the last step always = endL (anchored, no need to specify)
+  // Unspecified steps are interpolated between control points (see interpolation below)
   lightnessProgression: { 100: 12, 150: 20, 200: 32 ,300:62, 400: 80, 600: 12, 700:36, 800:64, 850: 76, 900: 90 },
+
+  // Minimum APCA contrast per step (Lc, absolute)
+  // whiteOn/blackOn = white/black text on the color, onWhite/onBlack = the color as text on white/black
+  // A step that misses its target has its lightness solved to the nearest passing value,
+  // and the other steps interpolate around it. Steps that already pass are left untouched.
+  contrastTargets: {},
+
+  // How unspecified steps are interpolated between control points
+  // 'linear', 'monotone' (Fritsch–Carlson, no overshoot), 'catmull-rom',
+  // 'ease' | 'ease-in' | 'ease-out' | 'ease-in-out', or a cubic-bezier [x1, y1, x2, y2].
+  // One method for all progressions, or per progression: { hue, saturation, lightness }.
+  // Lightness is always kept monotonic so steps never reverse order.
+  interpolation: 'linear',
+
+  // How steps outside sRGB are brought into gamut (see gamut-mapping.js)
+  // 'clip' = per-channel clipping, 'css' = CSS Color 4 chroma reduction, 'minde' = chroma reduction to within 1 JND
+  gamutMapping: 'css',
+
+  // Dark-mode scales run from a dark surface (first step) to light text (last step).
+  // Same relative progressions as above, measured from the dark anchors instead.
+  // Override per color with `dark: { ... }`. Hue and saturation progressions that
+  // aren't set here mirror the color's light-mode ones (first <-> last step).
+  dark: {
+    startL: 8,     // Darkest surface at the first step (absolute %)
+    endL: 96,      // Lightest text at the last step (absolute %)
+
+    // Less chroma at the light end so text-like steps don't glow on dark surfaces
+    saturationProgression: { 50: 70, 950: 45 },
+
+    // Tight spacing in the dark surface steps, wider toward the light end
+    lightnessProgression: { 100: 5, 150: 10, 200: 18, 300: 42, 400: 72, 600: 14, 700: 34, 800: 60, 850: 74, 900: 88 },
+  },
 };
 
+// 2) Export build outputs
+// Formats written by `npm run build` when no --format flag is given (see exporters.js).
+// Available: json, js, p3, dark, alpha, on, esm, css, scss, tailwind, themes, dtcg,
+// figma, ase, gpl, sketch, procreate (or 'all').
+export const exportFormats = ['json', 'js', 'p3', 'dark', 'alpha', 'on', 'themes'];
+
+// Schema of color-scale-v2.json and color-scale-v2-dark.json (overridden by --schema).
+// 'hex': { color: { step: hex } }, the plain map the browser and older consumers read.
+// 'rich': per-step hex, OKLCH, OKhsl, APCA/WCAG contrast, recommended foreground and clipped flag.
+export const jsonSchema = 'hex';
+
 // 3) Export color configurations
-// All colors use 13 steps (50-950) in OKhsl color space. Base values in degrees/percentages.
+// All colors use the step set above in OKhsl color space. Base values in degrees/percentages.
 // Saturation progression is relative to base; lightness progression is relative to startL/endL anchors.
 
 export const colorConfigs = [
   {
-    //500 is above Lc 60 and 600 is >= Lc 70
     name: "red-500",
     baseHue: 20.06,
     baseSaturation: 92.91,
     baseLightness: 57.25,
     hueProgression: { 50: -8, 950: -5 },
+    contrastTargets: { 500: { whiteOn: 60 }, 600: { whiteOn: 70 } },
   },
   {
     name: "orange-500",
@@ -75,29 +128,28 @@ export const colorConfigs = [
    
   },
   {
-    // White on 600 is Lc60, on 700 Lc75 ✅  
     name: "green-500",
     baseHue: 154.07,
     baseSaturation: 89.76,
     baseLightness: 65.30,
     hueProgression: { 50: -8, 950: 10 },
+    contrastTargets: { 600: { whiteOn: 60 }, 700: { whiteOn: 75 } },
   },
   {
-     // White on 600 is Lc60, on 700 Lc75 ✅  
     name: "teal-500",
     baseHue: 182.85,
     baseSaturation: 97.10,
     baseLightness: 67.18,
-    //lightnessProgression: {700: 37}, // darker than others to meet Lc75 on 700
     hueProgression: { 50: -10, 950: 5 },
+    contrastTargets: { 600: { whiteOn: 60 }, 700: { whiteOn: 75 } },
   },
   {
-    // White on 600 is Lc60, on 700 Lc75 ✅ 
     name: "cyan-500",
     baseHue: 217.66,
     baseSaturation: 96.02,
     baseLightness: 66.10,
     hueProgression: { 50: -10, 950: 5},
+    contrastTargets: { 600: { whiteOn: 60 }, 700: { whiteOn: 75 } },
   },
   {
     name: "blue-500",
@@ -165,3 +217,84 @@ export const colorConfigs = [
   }
   
 ];
+
+// 4) Export semantic tokens
+// Roles used by the UI, each mapped to a generated swatch ("slate-100") per theme mode.
+// Literal hex values are allowed for pure white/black, which sit outside the scales.
+
+export const semanticTokens = {
+  // Background colors
+  'background-norm': { light: '#ffffff', dark: '#000000' },
+  'background-weak': { light: 'slate-50', dark: 'slate-900' },
+  'background-strong': { light: 'slate-100', dark: 'slate-800' },
+  'background-inverted': { light: 'slate-950', dark: 'slate-50' },
+
+  // Surface colors (cards, popovers)
+  'surface-norm': { light: '#ffffff', dark: 'slate-950' },
+  'surface-raised': { light: 'slate-50', dark: 'slate-900' },
+
+  // Text colors
+  'text-norm': { light: 'slate-900', dark: 'slate-100' },
+  'text-weak': { light: 'slate-600', dark: 'slate-200' },
+  'text-inverted': { light: 'slate-50', dark: '#000000' },
+
+  // Border colors
+  'border-norm': { light: 'slate-200', dark: 'slate-800' },
+  'border-weak': { light: 'slate-100', dark: 'slate-900' },
+  'border-strong': { light: 'slate-300', dark: 'slate-700' },
+
+  // Interactive colors
+  'interactive-norm': { light: 'slate-100', dark: 'slate-900' },
+  'interactive-hover': { light: 'slate-150', dark: 'slate-850' },
+  'interactive-active': { light: 'slate-200', dark: 'slate-800' },
+  'interactive-disabled': { light: 'slate-50', dark: 'slate-950' },
+
+  // Accent and status colors
+  'accent-norm': { light: 'blue-600', dark: 'blue-300' },
+  'accent-hover': { light: 'blue-700', dark: 'blue-200' },
+  'danger': { light: 'red-600', dark: 'red-200' },
+};
+
+// Role pairs whose APCA contrast is checked on every build (text on background, minimum Lc).
+// The build fails if any pair drops below its minimum in either theme.
+
+export const semanticContrast = [
+  { text: 'text-norm', background: 'background-norm', minLc: 90 },
+  { text: 'text-norm', background: 'background-weak', minLc: 75 },
+  { text: 'text-weak', background: 'background-norm', minLc: 60 },
+  { text: 'text-inverted', background: 'background-inverted', minLc: 90 },
+  { text: 'text-norm', background: 'interactive-norm', minLc: 75 },
+  { text: 'accent-norm', background: 'background-norm', minLc: 60 },
+  { text: 'danger', background: 'background-norm', minLc: 60 },
+];
+
+// 5) Export harmony check settings
+// `npm run harmony` and the Harmony panel flag hues whose step strays from that step's
+// median across all hues by more than these tolerances (OKLCH L in %, OKLCH C, APCA Lc).
+// Neutrals are left out of the chroma comparison.
+
+export const harmony = {
+  tolerance: { lightness: 5, chroma: 0.05, contrast: 10 },
+  neutrals: ['haze', 'slate', 'neutral'],
+};
+
+// 6) Export alpha variant settings
+// Every step also gets a translucent variant (--red-a300) that looks the same as the opaque step
+// when composited over `background`: light scales over `light`, dark scales over `dark`.
+// `tolerance` is the ΔE2000 the composite may differ by in exchange for a lower alpha (0 = exact).
+
+export const alpha = {
+  background: { light: '#ffffff', dark: '#000000' },
+  tolerance: 0,
+};
+
+// 7) Export on-color settings
+// Every step gets a foreground token (--red-700-on) picked from its own scale, or from `fallback` when
+// none of its steps reaches `target` with `method` (a key of CONTRAST_ALGORITHMS). Among the passing
+// swatches the most chromatic wins, so text on red-700 is a light red rather than white.
+
+export const onColor = {
+  method: 'APCA',
+  target: 60,
+  fallback: 'neutral',
+};
@@ -0,0 +1,132 @@
+// config-loader.js - Load palette configuration from a JS, JSON or YAML file
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+import * as builtIn from './colors-v2.js';
+
+/**
+ * Config used when no file is given (the repo's own colors-v2.js)
+ */
+export const DEFAULT_CONFIG_FILE = fileURLToPath(new URL('./colors-v2.js', import.meta.url));
+
+const EXTENSIONS = {
+  '.js': 'js',
+  '.mjs': 'js',
+  '.json': 'json',
+  '.yaml': 'yaml',
+  '.yml': 'yaml',
+};
+
+/**
+ * Default fields keyed by step (50, 500, 950, ...), in defaults and defaults.dark
+ */
+const STEP_KEYED_FIELDS = ['baseStep', 'hueProgression', 'saturationProgression', 'lightnessProgression', 'contrastTargets'];
+
+/**
+ * Built-in defaults a config inherits
+ *
+ * With its own step set, fields keyed by the built-in steps would name steps
+ * that don't exist, so those are left out and only the step-free fields
+ * (anchors, interpolation, gamut mapping) are inherited.
+ */
+function inheritedDefaults(steps) {
+  const builtInSteps = [...builtIn.steps].sort((a, b) => a - b);
+  const sameSteps = !Array.isArray(steps)
+    || (steps.length === builtInSteps.length && [...steps].sort((a, b) => a - b).every((step, i) => step === builtInSteps[i]));
+  if (sameSteps) return builtIn.defaults;
+
+  const omitStepKeyed = (fields) => Object.fromEntries(
+    Object.entries(fields).filter(([field]) => !STEP_KEYED_FIELDS.includes(field))
+  );
+  return { ...omitStepKeyed(builtIn.defaults), dark: omitStepKeyed(builtIn.defaults.dark) };
+}
+
+/**
+ * Read the raw config object from a file
+ */
+async function readConfigFile(file) {
+  const type = EXTENSIONS[path.extname(file).toLowerCase()];
+  if (!type) {
+    throw new Error(`Unsupported config file "${file}", expected one of ${Object.keys(EXTENSIONS).join(', ')}`);
+  }
+
+  if (type === 'js') {
+    // Query string bypasses the module cache so --watch picks up edits
+    const module = await import(`${pathToFileURL(file).href}?t=${fs.statSync(file).mtimeMs}`);
+    return module.default ?? module;
+  }
+
+  const text = fs.readFileSync(file, 'utf-8');
+  if (type === 'json') {
+    return JSON.parse(text);
+  }
+  const { parse } = await import('yaml');
+  return parse(text) ?? {};
+}
+
+/**
+ * Load a palette config
+ *
+ * The file has the same shape as colors-v2.js: `colorConfigs` (required) plus
+ * optional `defaults`, `exportFormats`, `jsonSchema`, `semanticTokens`,
+ * `semanticContrast`, `harmony`, `alpha` and `onColor`. JS files can use named exports or a default
+ * export. `defaults` is merged over the built-in defaults, so a config only
+ * needs the fields it changes; semantic tokens are not inherited because they
+ * reference the built-in color names, nor are the step-keyed defaults
+ * (base step, progressions, contrast targets) when `defaults.steps` differs
+ * from the built-in step set.
+ *
+ * @param {string} [file] - Path to the config (default: colors-v2.js)
+ * @returns {Promise<Object>} - { file, defaults, colorConfigs, exportFormats, jsonSchema,
+ *   semanticTokens, semanticContrast, harmony, alpha, onColor }
+ */
+export async function loadConfig(file = DEFAULT_CONFIG_FILE) {
+  const resolved = path.resolve(file);
+  if (!fs.existsSync(resolved)) {
+    throw new Error(`Config file "${file}" not found`);
+  }
+
+  let config;
+  try {
+    config = await readConfigFile(resolved);
+  } catch (error) {
+    throw new Error(`Could not read config "${file}": ${error.message}`);
+  }
+
+  return resolveConfig(config, resolved);
+}
+
+/**
+ * Fill in a raw config object (as read from a file or sent to the server)
+ *
+ * @param {Object} config - Raw config with the colors-v2.js shape
+ * @param {string} [file] - Where it came from, for messages (null for inline configs)
+ * @returns {Object} - Same shape as loadConfig()
+ */
+export function resolveConfig(config, file = null) {
+  if (!Array.isArray(config?.colorConfigs)) {
+    throw new Error(`Config${file ? ` "${file}"` : ''} has no colorConfigs array`);
+  }
+
+  const inherited = inheritedDefaults(config.defaults?.steps);
+  return {
+    file,
+    defaults: {
+      ...inherited,
+      ...config.defaults,
+      dark: { ...inherited.dark, ...config.defaults?.dark },
+    },
+    colorConfigs: config.colorConfigs,
+    exportFormats: config.exportFormats ?? builtIn.exportFormats,
+    jsonSchema: config.jsonSchema ?? builtIn.jsonSchema,
+    semanticTokens: config.semanticTokens ?? {},
+    semanticContrast: config.semanticContrast ?? [],
+    harmony: config.harmony ?? builtIn.harmony,
+    alpha: {
+      ...builtIn.alpha,
+      ...config.alpha,
+      background: { ...builtIn.alpha.background, ...config.alpha?.background },
+    },
+    onColor: { ...builtIn.onColor, ...config.onColor },
+  };
+}
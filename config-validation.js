@@ -0,0 +1,393 @@
+// config-validation.js - Check palette configs before any scale is generated
+import Color from 'colorjs.io';
+import { resolveStepSet, getLightnessControls, generateScale, INTERPOLATION_METHODS } from './scale-v2.js';
+import { GAMUT_MAPPING_METHODS } from './gamut-mapping.js';
+import { CONTRAST_ALGORITHMS, CONTRAST_PAIRINGS } from './contrast-algorithms.js';
+import { getColorName, resolveScaleOptions } from './palette.js';
+
+/**
+ * Fields each part of a config may set. Anything else is reported, since a
+ * misspelled field would otherwise be ignored without a trace.
+ */
+const SCALE_FIELDS = ['startL', 'endL', 'hueProgression', 'saturationProgression', 'lightnessProgression', 'contrastTargets', 'interpolation'];
+const DARK_FIELDS = ['baseLightness', ...SCALE_FIELDS];
+const COLOR_FIELDS = ['name', 'baseHue', 'baseSaturation', 'baseLightness', ...SCALE_FIELDS, 'gamutMapping', 'dark'];
+const DEFAULTS_FIELDS = ['steps', 'baseStep', ...SCALE_FIELDS, 'gamutMapping', 'dark'];
+const ALPHA_FIELDS = ['background', 'tolerance'];
+const ALPHA_BACKGROUND_FIELDS = ['light', 'dark'];
+const ON_COLOR_FIELDS = ['method', 'target', 'fallback'];
+
+/**
+ * Highest APCA Lc a contrast target can ask for (black on white is about 106)
+ */
+const MAX_LC = 108;
+
+/**
+ * Edit distance between two strings, used to suggest the field a typo meant
+ */
+function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1].toLowerCase() === b[j - 1].toLowerCase() ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+function isPlainObject(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+/**
+ * Collects errors for one part of the config (a color, or the defaults)
+ */
+function createReporter(errors, color) {
+  return (field, value, message) => errors.push({ color, field, value, message });
+}
+
+function checkKnownFields(section, allowed, report, prefix = '') {
+  for (const [field, value] of Object.entries(section)) {
+    if (allowed.includes(field)) continue;
+    const suggestion = allowed.find(known => editDistance(field, known) <= 2);
+    report(`${prefix}${field}`, value, suggestion ? `unknown field, did you mean "${suggestion}"?` : `unknown field, expected one of ${allowed.join(', ')}`);
+  }
+}
+
+function checkNumber(value, field, report, { min, max, required = false } = {}) {
+  if (value === undefined) {
+    if (required) report(field, value, 'is required');
+    return;
+  }
+  if (typeof value !== 'number' || !Number.isFinite(value)) {
+    report(field, value, 'expected a number');
+  } else if ((min !== undefined && value < min) || (max !== undefined && value > max)) {
+    report(field, value, max === undefined ? `expected a number of at least ${min}` : `expected a number from ${min} to ${max}`);
+  }
+}
+
+/**
+ * Check a { step: value } progression: known steps and numeric values
+ */
+function checkProgression(progression, field, steps, report, checkValue = () => {}) {
+  if (progression === undefined) return;
+  if (!isPlainObject(progression)) {
+    report(field, progression, 'expected an object of { step: value }');
+    return;
+  }
+  for (const [step, value] of Object.entries(progression)) {
+    if (!steps.includes(Number(step))) {
+      report(`${field}.${step}`, value, `unknown step ${step}, expected one of ${steps.join(', ')}`);
+    } else if (typeof value !== 'number' || !Number.isFinite(value)) {
+      report(`${field}.${step}`, value, 'expected a number');
+    } else {
+      checkValue(`${field}.${step}`, value);
+    }
+  }
+}
+
+function checkContrastTargets(targets, field, steps, report) {
+  if (!isPlainObject(targets)) {
+    if (targets !== undefined) report(field, targets, 'expected an object of { step: { whiteOn, blackOn, onWhite, onBlack } }');
+    return;
+  }
+  for (const [step, stepTargets] of Object.entries(targets)) {
+    if (!steps.includes(Number(step))) {
+      report(`${field}.${step}`, stepTargets, `unknown step ${step}, expected one of ${steps.join(', ')}`);
+      continue;
+    }
+    if (!isPlainObject(stepTargets)) {
+      report(`${field}.${step}`, stepTargets, 'expected an object like { whiteOn: 60 }');
+      continue;
+    }
+    for (const [target, Lc] of Object.entries(stepTargets)) {
+      if (!CONTRAST_PAIRINGS[target]) {
+        report(`${field}.${step}.${target}`, Lc, `unknown contrast target, expected one of ${Object.keys(CONTRAST_PAIRINGS).join(', ')}`);
+      } else {
+        checkNumber(Lc, `${field}.${step}.${target}`, report, { min: 0, max: MAX_LC });
+      }
+    }
+  }
+}
+
+function checkInterpolation(interpolation, field, report) {
+  if (interpolation === undefined) return;
+  const isMethod = method => INTERPOLATION_METHODS.includes(method)
+    || (Array.isArray(method) && method.length === 4 && method.every(Number.isFinite)
+      && method[0] >= 0 && method[0] <= 1 && method[2] >= 0 && method[2] <= 1);
+  const expected = `expected one of ${INTERPOLATION_METHODS.join(', ')} or a cubic-bezier [x1, y1, x2, y2] with x1 and x2 in 0-1`;
+
+  if (isPlainObject(interpolation)) {
+    for (const [progression, method] of Object.entries(interpolation)) {
+      if (!['hue', 'saturation', 'lightness'].includes(progression)) {
+        report(`${field}.${progression}`, method, 'unknown progression, expected hue, saturation or lightness');
+      } else if (!isMethod(method)) {
+        report(`${field}.${progression}`, method, expected);
+      }
+    }
+  } else if (!isMethod(interpolation)) {
+    report(field, interpolation, expected);
+  }
+}
+
+/**
+ * Check the fields shared by defaults, colors and their dark overrides
+ */
+function checkScaleFields(section, steps, report, { prefix = '', baseSaturation } = {}) {
+  checkNumber(section.startL, `${prefix}startL`, report, { min: 0, max: 100 });
+  checkNumber(section.endL, `${prefix}endL`, report, { min: 0, max: 100 });
+  checkProgression(section.hueProgression, `${prefix}hueProgression`, steps, report);
+  checkProgression(section.saturationProgression, `${prefix}saturationProgression`, steps, report, (field, percent) => {
+    if (percent < 0) {
+      report(field, percent, 'expected a percentage of the base saturation, 0 or more');
+    } else if (baseSaturation !== undefined && baseSaturation * percent / 100 > 100) {
+      report(field, percent, `gives ${(baseSaturation * percent / 100).toFixed(2)}% saturation, above 100%`);
+    }
+  });
+  checkProgression(section.lightnessProgression, `${prefix}lightnessProgression`, steps, report);
+  checkContrastTargets(section.contrastTargets, `${prefix}contrastTargets`, steps, report);
+  checkInterpolation(section.interpolation, `${prefix}interpolation`, report);
+}
+
+function checkGamutMapping(gamutMapping, report) {
+  if (gamutMapping !== undefined && !GAMUT_MAPPING_METHODS[gamutMapping]) {
+    report('gamutMapping', gamutMapping, `expected one of ${Object.keys(GAMUT_MAPPING_METHODS).join(', ')}`);
+  }
+}
+
+/**
+ * Check the alpha variant settings: backgrounds must be parseable colors
+ */
+function checkAlpha(alpha, report) {
+  if (!isPlainObject(alpha)) {
+    report('', alpha, 'expected an object');
+    return;
+  }
+  checkKnownFields(alpha, ALPHA_FIELDS, report);
+  checkNumber(alpha.tolerance, 'tolerance', report, { min: 0 });
+  if (!isPlainObject(alpha.background)) {
+    report('background', alpha.background, 'expected { light, dark } colors');
+    return;
+  }
+  checkKnownFields(alpha.background, ALPHA_BACKGROUND_FIELDS, report, 'background.');
+  for (const mode of ALPHA_BACKGROUND_FIELDS) {
+    try {
+      new Color(alpha.background[mode]);
+    } catch {
+      report(`background.${mode}`, alpha.background[mode], 'expected a CSS color like "#ffffff"');
+    }
+  }
+}
+
+/**
+ * Check the on-color settings. The fallback scale may be missing (configs
+ * inherit 'neutral'), in which case white and black are the only fallback.
+ */
+function checkOnColor(onColor, report) {
+  if (!isPlainObject(onColor)) {
+    report('', onColor, 'expected an object');
+    return;
+  }
+  checkKnownFields(onColor, ON_COLOR_FIELDS, report);
+  if (!CONTRAST_ALGORITHMS[onColor.method]) {
+    report('method', onColor.method, `expected one of ${Object.keys(CONTRAST_ALGORITHMS).join(', ')}`);
+  }
+  checkNumber(onColor.target, 'target', report, { min: 0 });
+  if (onColor.fallback !== undefined && typeof onColor.fallback !== 'string') {
+    report('fallback', onColor.fallback, 'expected a scale name like "neutral"');
+  }
+}
+
+/**
+ * Check that lightness runs light to dark (dark mode: dark to light), naming
+ * the field that puts a step out of order: the progression control points
+ * first, then the generated scale once contrast targets are solved
+ */
+function checkLightnessOrder(config, defaults, mode, report) {
+  const options = resolveScaleOptions(config, defaults);
+  const { steps, baseStep } = options;
+  const prefix = mode === 'dark' ? 'dark.' : '';
+  const progression = mode === 'dark' ? options.dark.lightnessProgression ?? {} : options.lightnessProgression;
+  const ownProgression = (mode === 'dark' ? config.dark?.lightnessProgression : config.lightnessProgression) ?? {};
+  const lightness = getLightnessControls({ ...options, mode });
+  const order = mode === 'dark' ? 'darker' : 'lighter';
+  // Whether `a` may sit at an earlier step than `b`
+  const precedes = (a, b) => (mode === 'dark' ? a < b : a > b);
+  const format = L => Number(L.toFixed(2));
+
+  // Anchors first: out-of-order anchors flip every step between them
+  const first = lightness[steps[0]];
+  const base = lightness[baseStep];
+  const last = lightness[steps[steps.length - 1]];
+  if (!precedes(first, last)) {
+    report(`${prefix}startL`, format(first), `must be ${order} than ${prefix}endL (${format(last)})`);
+    return;
+  }
+  if (!precedes(first, base) || !precedes(base, last)) {
+    const field = mode === 'dark' && options.dark.baseLightness !== undefined ? 'dark.baseLightness' : 'baseLightness';
+    report(field, format(base), `must be between ${prefix}startL (${format(first)}) and ${prefix}endL (${format(last)})`);
+    return;
+  }
+
+  // Then each pair of neighbouring control points, blaming the color's own
+  // progression entry over one inherited from the defaults
+  const controls = Object.entries(lightness)
+    .map(([step, L]) => [Number(step), L])
+    .sort(([a], [b]) => a - b);
+  for (let i = 1; i < controls.length; i++) {
+    const [before, beforeL] = controls[i - 1];
+    const [after, afterL] = controls[i];
+    if (precedes(beforeL, afterL)) continue;
+
+    const candidates = [after, before].filter(step => step !== baseStep && progression[step] !== undefined);
+    const step = candidates.find(candidate => ownProgression[candidate] !== undefined) ?? candidates[0];
+    report(`${prefix}lightnessProgression.${step}`, progression[step],
+      `puts step ${before} at L ${format(beforeL)} and step ${after} at L ${format(afterL)}, step ${before} must be ${order}`);
+    return;
+  }
+
+  // Contrast targets pin their step's lightness; one that can't be met stops
+  // at the next control point (see scale-v2.js), leaving steps level with it.
+  // Warnings are collected instead of printed: the build prints them once.
+  const targets = (mode === 'dark' ? options.dark.contrastTargets : options.contrastTargets) ?? {};
+  const ownTargets = (mode === 'dark' ? config.dark?.contrastTargets : config.contrastTargets) ?? {};
+  const warnings = [];
+  const scale = generateScale({ ...options, mode, warn: (message, details) => warnings.push(details) });
+
+  const reversal = warnings.find(({ type }) => type === 'order');
+  if (reversal) {
+    const { step, L, neighbour, limit } = reversal;
+    report(`${prefix}contrastTargets.${step}`, targets[step],
+      `needs step ${step} at L ${format(L)}, past step ${neighbour} (L ${format(limit)}), which would reverse the scale`);
+    return;
+  }
+
+  for (let i = 1; i < scale.length; i++) {
+    const before = scale[i - 1];
+    const after = scale[i];
+    if (precedes(before.okhsl.L, after.okhsl.L)) continue;
+
+    // Blame a target between the control points around the pair
+    const from = scale.slice(0, i).filter(entry => entry.explicit.lightness).pop()?.step ?? before.step;
+    const to = scale.slice(i).find(entry => entry.explicit.lightness)?.step ?? after.step;
+    const candidates = steps.filter(step => step >= from && step <= to && targets[step] !== undefined);
+    const step = candidates.find(candidate => ownTargets[candidate] !== undefined) ?? candidates[0];
+    const levels = `step ${before.step} at L ${format(before.okhsl.L)} and step ${after.step} at L ${format(after.okhsl.L)}`;
+    if (step === undefined) {
+      report(`${prefix}lightnessProgression`, progression, `puts ${levels}, step ${before.step} must be ${order}`);
+    } else {
+      report(`${prefix}contrastTargets.${step}`, targets[step],
+        `can't be met with the scale in order (it leaves ${levels}), step ${before.step} must be ${order}`);
+    }
+    return;
+  }
+}
+
+/**
+ * Validate a loaded palette config
+ *
+ * Checks field names and types, value ranges, duplicate scale names, that
+ * progressions and contrast targets only use steps from the step set, and
+ * that every scale's lightness stays in order once contrast targets are
+ * solved (light and dark),
+ * the alpha variant backgrounds and the on-color settings.
+ *
+ * @param {Object} config - Loaded config (see config-loader.js)
+ * @returns {Array<Object>} - [{ color, field, value, message }], empty when valid;
+ *   color is the config name (or "defaults", "alpha", "onColor")
+ */
+export function validateConfig({ defaults, colorConfigs, alpha, onColor }) {
+  const errors = [];
+  const reportDefaults = createReporter(errors, 'defaults');
+
+  let steps = [];
+  try {
+    ({ steps } = resolveStepSet(defaults.steps, defaults.baseStep));
+  } catch (error) {
+    reportDefaults('steps', defaults.steps, error.message);
+    return errors;
+  }
+
+  checkKnownFields(defaults, DEFAULTS_FIELDS, reportDefaults);
+  const unknownDefaults = errors.length;
+  checkScaleFields(defaults, steps, reportDefaults);
+  checkGamutMapping(defaults.gamutMapping, reportDefaults);
+  if (defaults.dark !== undefined && !isPlainObject(defaults.dark)) {
+    reportDefaults('dark', defaults.dark, 'expected an object');
+  } else if (defaults.dark) {
+    checkScaleFields(defaults.dark, steps, reportDefaults, { prefix: 'dark.' });
+  }
+  // Unknown fields are ignored by the generator, so they don't block the lightness checks below
+  const defaultsValid = errors.length === unknownDefaults;
+  if (isPlainObject(defaults.dark)) {
+    checkKnownFields(defaults.dark, DARK_FIELDS, reportDefaults, 'dark.');
+  }
+
+  const scaleNames = new Map();
+  colorConfigs.forEach((config, index) => {
+    const label = typeof config?.name === 'string' && config.name ? config.name : `colorConfigs[${index}]`;
+    const report = createReporter(errors, label);
+
+    if (!isPlainObject(config)) {
+      report('', config, 'expected an object');
+      return;
+    }
+
+    if (typeof config.name !== 'string' || !config.name) {
+      report('name', config.name, 'expected a name like "red-500"');
+    } else {
+      const scaleName = getColorName(config);
+      if (scaleNames.has(scaleName)) {
+        report('name', config.name, `duplicate scale name "${scaleName}", also used by "${scaleNames.get(scaleName)}"`);
+      } else {
+        scaleNames.set(scaleName, config.name);
+      }
+    }
+
+    checkKnownFields(config, COLOR_FIELDS, report);
+    if (isPlainObject(config.dark)) {
+      checkKnownFields(config.dark, DARK_FIELDS, report, 'dark.');
+    }
+    const before = errors.length;
+    checkNumber(config.baseHue, 'baseHue', report, { min: 0, max: 360, required: true });
+    checkNumber(config.baseSaturation, 'baseSaturation', report, { min: 0, max: 100, required: true });
+    checkNumber(config.baseLightness, 'baseLightness', report, { min: 0, max: 100, required: true });
+    checkScaleFields(config, steps, report, { baseSaturation: config.baseSaturation });
+    checkGamutMapping(config.gamutMapping, report);
+
+    if (config.dark !== undefined && !isPlainObject(config.dark)) {
+      report('dark', config.dark, 'expected an object');
+    } else if (config.dark) {
+      checkNumber(config.dark.baseLightness, 'dark.baseLightness', report, { min: 0, max: 100 });
+      checkScaleFields(config.dark, steps, report, { prefix: 'dark.', baseSaturation: config.baseSaturation });
+    }
+
+    // Lightness order is only meaningful once every value above is usable
+    if (defaultsValid && errors.length === before) {
+      checkLightnessOrder(config, defaults, 'light', report);
+      checkLightnessOrder(config, defaults, 'dark', report);
+    }
+  });
+
+  if (alpha !== undefined) {
+    checkAlpha(alpha, createReporter(errors, 'alpha'));
+  }
+  if (onColor !== undefined) {
+    checkOnColor(onColor, createReporter(errors, 'onColor'));
+  }
+
+  return errors;
+}
+
+/**
+ * Format a validation error as "color  field: value (message)"
+ * @param {Object} error - One validateConfig() entry
+ * @returns {string}
+ */
+export function formatConfigError({ color, field, value, message }) {
+  const shown = value === undefined ? 'missing' : JSON.stringify(value);
+  return `${color.padEnd(12)} ${field ? `${field}: ` : ''}${shown} - ${message}`;
+}
@@ -0,0 +1,116 @@
+// contrast-algorithms.js - Contrast algorithms with their pass/fail thresholds
+// Shared by the browser contrast toggle (colors-utilities.js, app.js) and hex-to-okhsl.js.
+
+import Color from 'colorjs.io';
+
+const WHITE = new Color('#ffffff');
+const BLACK = new Color('#000000');
+
+/**
+ * Swatch/reference pairings a threshold is checked on
+ * Same keys as the contrastTargets in scale-v2.js.
+ */
+export const CONTRAST_PAIRINGS = {
+  whiteOn: { label: 'White on Color', measure: (color, method) => color.contrast(WHITE, method) },
+  blackOn: { label: 'Black on Color', measure: (color, method) => color.contrast(BLACK, method) },
+  onWhite: { label: 'Color on White', measure: (color, method) => WHITE.contrast(color, method) },
+  onBlack: { label: 'Color on Black', measure: (color, method) => BLACK.contrast(color, method) },
+};
+
+/**
+ * Build one threshold per pairing for a level (symmetric methods only need white/black)
+ */
+function levels(list, pairings) {
+  const suffixes = { whiteOn: 'white', blackOn: 'black' };
+  return list.flatMap(({ id, label, min }) => pairings.map(pairing => ({
+    id: `${id}-${suffixes[pairing]}`,
+    label,
+    min,
+    pairing,
+  })));
+}
+
+/**
+ * colorjs.io contrast methods offered in the browser and CLI, keyed by method name
+ * - thresholds: options for the contrast toggle ({ id, label, min, pairing })
+ * - dotTarget: minimum for white text, below which the contrast dot turns black
+ * - format: how a value is printed
+ * Weber and Michelson have no established text thresholds, so they aren't offered.
+ */
+export const CONTRAST_ALGORITHMS = {
+  APCA: {
+    label: 'APCA',
+    // Lc 65 is minimum for short 14px regular text
+    dotTarget: 60,
+    format: value => `Lc ${value.toFixed(1)}`,
+    thresholds: [
+      { id: 'lc60-white', label: 'Lc60', min: 60, pairing: 'whiteOn' },
+      { id: 'lc60-black', label: 'Lc60', min: 60, pairing: 'blackOn' },
+      { id: 'lc70-white', label: 'Lc70', min: 70, pairing: 'onWhite' },
+      { id: 'lc70-black', label: 'Lc70', min: 70, pairing: 'onBlack' },
+      { id: 'lc30-white', label: 'Lc30', min: 30, pairing: 'onWhite' },
+      { id: 'lc30-black', label: 'Lc30', min: 30, pairing: 'onBlack' },
+    ],
+  },
+  WCAG21: {
+    label: 'WCAG 2.1',
+    dotTarget: 4.5,
+    format: value => `${value.toFixed(2)}:1`,
+    // Symmetric: white on color and color on white are the same ratio
+    thresholds: levels([
+      { id: 'aa', label: 'AA 4.5:1', min: 4.5 },
+      { id: 'aa-large', label: 'AA large 3:1', min: 3 },
+      { id: 'aaa', label: 'AAA 7:1', min: 7 },
+      { id: 'aaa-large', label: 'AAA large 4.5:1', min: 4.5 },
+    ], ['whiteOn', 'blackOn']),
+  },
+  DeltaPhi: {
+    label: 'Delta Phi*',
+    // Scaled to read roughly like APCA Lc
+    dotTarget: 60,
+    format: value => `ΔΦ* ${value.toFixed(1)}`,
+    thresholds: levels([
+      { id: 'dphi60', label: 'ΔΦ* 60', min: 60 },
+      { id: 'dphi45', label: 'ΔΦ* 45', min: 45 },
+      { id: 'dphi30', label: 'ΔΦ* 30', min: 30 },
+    ], ['whiteOn', 'blackOn']),
+  },
+  Lstar: {
+    label: 'L* difference',
+    // Material Design tones: 50 apart ≈ 4.5:1, 40 apart ≈ 3:1
+    dotTarget: 50,
+    format: value => `ΔL* ${value.toFixed(1)}`,
+    thresholds: levels([
+      { id: 'lstar50', label: 'ΔL* 50', min: 50 },
+      { id: 'lstar40', label: 'ΔL* 40', min: 40 },
+    ], ['whiteOn', 'blackOn']),
+  },
+};
+
+export const DEFAULT_CONTRAST_METHOD = 'APCA';
+
+/**
+ * Look up an algorithm, throwing on unknown names
+ * @param {string} method - Key of CONTRAST_ALGORITHMS
+ * @returns {Object} - Algorithm definition
+ */
+export function getContrastAlgorithm(method) {
+  const algorithm = CONTRAST_ALGORITHMS[method];
+  if (!algorithm) {
+    throw new Error(`Unknown contrast method "${method}", expected one of ${Object.keys(CONTRAST_ALGORITHMS).join(', ')}`);
+  }
+  return algorithm;
+}
+
+/**
+ * Absolute contrast of a color in one pairing
+ * @param {string|Color} color - Swatch color
+ * @param {string} pairing - Key of CONTRAST_PAIRINGS
+ * @param {string} method - Key of CONTRAST_ALGORITHMS
+ * @returns {number} - Absolute contrast in the method's units
+ */
+export function measurePairing(color, pairing, method) {
+  getContrastAlgorithm(method);
+  const value = typeof color === 'string' ? new Color(color) : color;
+  return Math.abs(CONTRAST_PAIRINGS[pairing].measure(value, method));
+}
@@ -0,0 +1,144 @@
+// contrast-matrix-panel.js - Browser view of pairwise swatch contrast (see contrast-matrix.js)
+import { findPairings, DEFAULT_PAIRING_FILTER } from "./contrast-matrix.js";
+
+/**
+ * Create an element with a class and text
+ */
+function element(tag, className, text) {
+  const node = document.createElement(tag);
+  if (className) node.className = className;
+  if (text !== undefined) node.textContent = text;
+  return node;
+}
+
+/**
+ * Replace a select's options, keeping the current value when it still exists
+ */
+function setOptions(select, options, fallback) {
+  const current = select.value;
+  select.replaceChildren(...options.map(([value, label]) => {
+    const option = document.createElement('option');
+    option.value = value;
+    option.textContent = label;
+    return option;
+  }));
+  select.value = options.some(([value]) => value === current) ? current : fallback;
+}
+
+/**
+ * Labelled filter control
+ */
+function field(label, control) {
+  const wrapper = element('label', 'matrix-field');
+  wrapper.append(element('span', 'editor-field-label', label), control);
+  return wrapper;
+}
+
+function numberInput(value, step) {
+  const input = document.createElement('input');
+  Object.assign(input, { type: 'number', min: 0, step, value });
+  input.className = 'editor-number';
+  return input;
+}
+
+/**
+ * Table with one row per text color and one column per step, each cell
+ * showing that swatch as text on the chosen background
+ */
+function renderMatrix(pairings, background, steps) {
+  const table = element('table', 'harmony-table matrix-table');
+  const header = table.createTHead().insertRow();
+  header.appendChild(element('th', null, 'Text'));
+  steps.forEach(step => header.appendChild(element('th', null, step)));
+  header.appendChild(element('th', null, 'Passing'));
+
+  const textColors = [...new Set(pairings.map(pairing => pairing.text.color))];
+  const body = table.createTBody();
+  textColors.forEach(color => {
+    const rowPairings = pairings.filter(pairing => pairing.text.color === color);
+    const row = body.insertRow();
+    row.appendChild(element('th', null, color));
+    steps.forEach(step => {
+      const cell = row.insertCell();
+      const pairing = rowPairings.find(({ text }) => text.step === step);
+      if (!pairing) {
+        cell.textContent = '—';
+        return;
+      }
+      const sample = element('div', 'matrix-sample', 'Aa');
+      sample.style.backgroundColor = background.hex;
+      sample.style.color = pairing.text.hex;
+      cell.append(sample, element('div', 'matrix-values', `Lc ${pairing.lc.toFixed(1)} · ${pairing.ratio.toFixed(2)}:1`));
+      cell.title = `${color}-${step} on ${background.color}-${background.step}`;
+      cell.classList.toggle('matrix-fail', !pairing.passes);
+    });
+    const passing = rowPairings.filter(pairing => pairing.passes).map(pairing => pairing.text.step);
+    row.appendChild(element('td', null, passing.length > 0 ? passing.join(', ') : 'none'));
+  });
+
+  return table;
+}
+
+/**
+ * Initialize the contrast matrix panel
+ * @param {HTMLElement} panel - Container the controls and matrix render into
+ * @returns {Function} - update(colors) re-renders for { colorName: { step: hex } }
+ */
+export function initContrastMatrixPanel(panel) {
+  let colors = null;
+
+  const backgroundColor = document.createElement('select');
+  const backgroundStep = document.createElement('select');
+  const textColor = document.createElement('select');
+  const minLc = numberInput(DEFAULT_PAIRING_FILTER.minLc, 5);
+  const minRatio = numberInput(DEFAULT_PAIRING_FILTER.minRatio, 0.5);
+  [backgroundColor, backgroundStep, textColor].forEach(select => { select.className = 'version-selector'; });
+
+  const filters = element('div', 'matrix-filters');
+  filters.append(
+    field('Background', backgroundColor),
+    field('Step', backgroundStep),
+    field('Text', textColor),
+    field('Min |Lc|', minLc),
+    field('Min ratio', minRatio),
+  );
+
+  const summary = element('p', 'editor-hint');
+  const matrix = element('div', 'matrix-container');
+  panel.append(filters, summary, matrix);
+
+  function render() {
+    if (!colors) return;
+    const names = Object.keys(colors);
+    const steps = Object.keys(colors[names[0]]).map(Number).sort((a, b) => a - b);
+
+    setOptions(backgroundColor, names.map(name => [name, name]), names[0]);
+    setOptions(backgroundStep, steps.map(step => [String(step), String(step)]), String(steps[0]));
+    setOptions(textColor, [['', 'All colors'], ...names.map(name => [name, name])], '');
+
+    const background = {
+      color: backgroundColor.value,
+      step: Number(backgroundStep.value),
+      hex: colors[backgroundColor.value][backgroundStep.value],
+    };
+    const pairings = findPairings(colors, {
+      background: { color: background.color, step: background.step },
+      text: textColor.value ? { color: textColor.value } : {},
+      minLc: Number(minLc.value) || 0,
+      minRatio: Number(minRatio.value) || 0,
+    });
+
+    const passCount = pairings.filter(pairing => pairing.passes).length;
+    summary.textContent = `${passCount} of ${pairings.length} text swatches on ${background.color}-${background.step} ` +
+      `reach |Lc| ≥ ${minLc.value || 0} and ratio ≥ ${minRatio.value || 0}:1 (others dimmed).`;
+    matrix.replaceChildren(renderMatrix(pairings, background, steps));
+  }
+
+  [backgroundColor, backgroundStep, textColor].forEach(select => select.addEventListener('change', render));
+  [minLc, minRatio].forEach(input => input.addEventListener('input', render));
+
+  return function update(nextColors) {
+    colors = nextColors;
+    render();
+  };
+}
@@ -0,0 +1,67 @@
+// contrast-matrix.js - Pairwise contrast between swatches (any swatch as background, any as text)
+// Used by the contrast matrix panel in the browser.
+
+import Color from 'colorjs.io';
+
+/**
+ * Default pairing filter: APCA Lc 60 (body text), no WCAG minimum
+ */
+export const DEFAULT_PAIRING_FILTER = {
+  minLc: 60,
+  minRatio: 0,
+};
+
+/**
+ * Contrast of text on a background
+ * @param {Color} background - Background color
+ * @param {Color} text - Text color
+ * @returns {Object} - { lc, ratio } signed APCA Lc (negative for light text on dark)
+ *   and WCAG 2.x contrast ratio (1-21)
+ */
+function measure(background, text) {
+  return {
+    // APCA: background.contrast(text, "APCA")
+    lc: background.contrast(text, 'APCA'),
+    ratio: background.contrast(text, 'WCAG21'),
+  };
+}
+
+/**
+ * Find every background/text pairing that meets the filter
+ *
+ * Leave `background` or `text` empty to try every swatch on that side, or
+ * narrow it to one color and/or step (e.g. { color: 'slate', step: 100 }).
+ * A swatch is never paired with itself.
+ *
+ * @param {Object} colors - { colorName: { step: hex } }
+ * @param {Object} [filter]
+ * @param {Object} [filter.background] - { color, step } limiting the backgrounds
+ * @param {Object} [filter.text] - { color, step } limiting the text colors
+ * @param {number} [filter.minLc] - Minimum absolute APCA Lc
+ * @param {number} [filter.minRatio] - Minimum WCAG 2.x ratio
+ * @returns {Array<Object>} - [{ background: { color, step, hex }, text: { color, step, hex }, lc, ratio, passes }]
+ *   for every pairing tried, in color/step order; `passes` tells whether it meets both minimums
+ */
+export function findPairings(colors, { background = {}, text = {}, minLc = 0, minRatio = 0 } = {}) {
+  const swatches = Object.entries(colors).flatMap(([color, scale]) =>
+    Object.entries(scale).map(([step, hex]) => ({ color, step: Number(step), hex, value: new Color(hex) })));
+
+  const matches = ({ color, step }, { color: wantedColor, step: wantedStep }) =>
+    (wantedColor === undefined || color === wantedColor) && (wantedStep === undefined || step === wantedStep);
+
+  const backgrounds = swatches.filter(swatch => matches(swatch, background));
+  const texts = swatches.filter(swatch => matches(swatch, text));
+
+  return backgrounds.flatMap(bg => texts
+    .filter(fg => fg !== bg)
+    .map(fg => {
+      const { lc, ratio } = measure(bg.value, fg.value);
+      return {
+        background: { color: bg.color, step: bg.step, hex: bg.hex },
+        text: { color: fg.color, step: fg.step, hex: fg.hex },
+        lc,
+        ratio,
+        passes: Math.abs(lc) >= minLc && ratio >= minRatio,
+      };
+    }));
+}
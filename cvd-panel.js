@@ -0,0 +1,129 @@
+// cvd-panel.js - Color-vision-deficiency controls and confusable pair report (see cvd.js)
+import { CVD_TYPES, DEFAULT_CVD_THRESHOLD, findConfusablePairs } from "./cvd.js";
+
+const FIELDS = {
+  severity: { label: 'Severity', min: 0, max: 1, step: 0.1, value: 1 },
+  threshold: { label: 'ΔE2000 below', min: 1, max: 20, step: 0.5, value: DEFAULT_CVD_THRESHOLD },
+};
+
+/**
+ * Create an element with a class and text
+ */
+function element(tag, className, text) {
+  const node = document.createElement(tag);
+  if (className) node.className = className;
+  if (text !== undefined) node.textContent = text;
+  return node;
+}
+
+/**
+ * Table of confusable hue pairs, simulated ΔE2000 per step (normal vision in the tooltip)
+ */
+function renderPairTable(pairs) {
+  const table = element('table', 'harmony-table');
+  const header = table.createTHead().insertRow();
+  header.appendChild(element('th', null, 'Pair'));
+  header.appendChild(element('th', null, 'Steps (simulated ΔE2000)'));
+
+  const body = table.createTBody();
+  pairs.forEach(({ a, b, steps }) => {
+    const row = body.insertRow();
+    row.appendChild(element('th', null, `${a} / ${b}`));
+    const cell = row.insertCell();
+    cell.className = 'cvd-steps';
+    steps.forEach(({ step, deltaE, original }) => {
+      const chip = element('span', 'cvd-step', `${step} (${deltaE.toFixed(1)})`);
+      chip.title = `Normal vision ΔE2000 ${original.toFixed(1)}`;
+      cell.appendChild(chip);
+    });
+  });
+
+  return table;
+}
+
+/**
+ * Initialize the CVD panel
+ * @param {HTMLElement} panel - Container the controls and report render into
+ * @param {Function} onChange - Called with { type, severity } to simulate, or null for normal vision
+ * @returns {Function} - update(colors) re-runs the report for { colorName: { step: hex } }
+ */
+export function initCvdPanel(panel, onChange) {
+  const settings = Object.fromEntries(Object.entries(FIELDS).map(([key, { value }]) => [key, value]));
+  let colors = null;
+
+  const select = document.createElement('select');
+  select.className = 'version-selector';
+  Object.entries({ '': 'Normal vision', ...CVD_TYPES }).forEach(([type, label]) => {
+    const option = document.createElement('option');
+    option.value = type;
+    option.textContent = label;
+    select.appendChild(option);
+  });
+  const selectWrapper = element('div', 'select-wrapper');
+  selectWrapper.appendChild(select);
+
+  // Slider + number input kept in sync, as in the editor
+  const fieldsContainer = element('div', 'editor-fields');
+  Object.entries(FIELDS).forEach(([key, { label, min, max, step, value }]) => {
+    const row = element('label', 'editor-field');
+    const name = element('span', 'editor-field-label', label);
+
+    const range = document.createElement('input');
+    Object.assign(range, { type: 'range', min, max, step, value });
+
+    const number = document.createElement('input');
+    Object.assign(number, { type: 'number', min, max, step, value });
+    number.className = 'editor-number';
+
+    const update = (next) => {
+      if (Number.isNaN(next)) return;
+      settings[key] = Math.min(Math.max(next, min), max);
+      range.value = settings[key];
+      number.value = settings[key];
+      if (key === 'severity') simulate();
+      renderReport();
+    };
+    range.addEventListener('input', () => update(Number(range.value)));
+    number.addEventListener('change', () => update(Number(number.value)));
+
+    row.append(name, range, number);
+    fieldsContainer.appendChild(row);
+  });
+
+  const report = element('div', 'cvd-report');
+  panel.append(selectWrapper, fieldsContainer, report);
+
+  function simulate() {
+    onChange(select.value ? { type: select.value, severity: settings.severity } : null);
+  }
+
+  function renderReport() {
+    if (!colors) return;
+    const sections = Object.entries(CVD_TYPES).map(([type, label]) => {
+      const pairs = findConfusablePairs(colors, { type, severity: settings.severity, threshold: settings.threshold });
+      const section = element('details', 'cvd-section');
+      section.open = type === select.value;
+      section.appendChild(element('summary', null, `${label}: ${pairs.length} pair(s)`));
+      section.appendChild(pairs.length > 0
+        ? renderPairTable(pairs)
+        : element('p', 'editor-hint', 'No hue pairs collide.'));
+      return section;
+    });
+
+    report.replaceChildren(
+      element('p', 'editor-hint', `Hue pairs whose same-step swatches fall below ΔE2000 ${settings.threshold} ` +
+        `at severity ${settings.severity} but are distinguishable with normal vision.`),
+      ...sections,
+    );
+  }
+
+  select.addEventListener('change', () => {
+    simulate();
+    renderReport();
+  });
+
+  return function update(nextColors) {
+    colors = nextColors;
+    renderReport();
+  };
+}
@@ -0,0 +1,166 @@
+// diff-panel.js - Browser side-by-side view of swatch changes between builds (see scale-diff.js)
+import { diffScales, findRegressions } from "./scale-diff.js";
+import { CONTRAST_ALGORITHMS, DEFAULT_CONTRAST_METHOD } from "./contrast-algorithms.js";
+import { toHexMap } from "./scale-metadata.js";
+
+/**
+ * Create an element with a class and text
+ */
+function element(tag, className, text) {
+  const node = document.createElement(tag);
+  if (className) node.className = className;
+  if (text !== undefined) node.textContent = text;
+  return node;
+}
+
+/**
+ * Labelled control
+ */
+function field(label, control) {
+  const wrapper = element('label', 'matrix-field');
+  wrapper.append(element('span', 'editor-field-label', label), control);
+  return wrapper;
+}
+
+/**
+ * Color chip with its hex underneath
+ */
+function swatchCell(row, hex) {
+  const cell = row.insertCell();
+  const chip = element('div', 'diff-chip');
+  chip.style.backgroundColor = hex;
+  cell.append(chip, element('div', 'matrix-values', hex));
+}
+
+/**
+ * Table with the previous and current swatch side by side for every change
+ */
+function renderChanges(changed, maxDeltaE) {
+  const table = element('table', 'harmony-table diff-table');
+  const header = table.createTHead().insertRow();
+  ['Swatch', 'Before', 'After', 'ΔE2000', 'Contrast'].forEach(label => header.appendChild(element('th', null, label)));
+
+  const body = table.createTBody();
+  changed.forEach(({ color, step, from, to, deltaE, deltaEOK, gained, lost }) => {
+    const row = body.insertRow();
+    row.appendChild(element('th', null, `${color}-${step}`));
+    swatchCell(row, from);
+    swatchCell(row, to);
+
+    const delta = row.insertCell();
+    delta.textContent = deltaE.toFixed(2);
+    delta.title = `ΔEOK ${deltaEOK.toFixed(3)}`;
+    delta.classList.toggle('harmony-flagged', deltaE > maxDeltaE);
+
+    const contrast = row.insertCell();
+    contrast.className = 'cvd-steps';
+    lost.forEach(label => contrast.appendChild(element('div', 'harmony-outliers', `− ${label}`)));
+    gained.forEach(label => contrast.appendChild(element('div', null, `+ ${label}`)));
+    if (lost.length === 0 && gained.length === 0) contrast.textContent = '—';
+  });
+
+  return table;
+}
+
+/**
+ * Initialize the diff panel
+ *
+ * Compares the scales on screen (including editor changes) with either the
+ * built JSON they were loaded from or a JSON file picked by the user.
+ *
+ * @param {HTMLElement} panel - Container the controls and report render into
+ * @returns {Function} - update(colors, built) re-renders for the shown
+ *   { colorName: { step: hex } } and the built files behind them
+ */
+export function initDiffPanel(panel) {
+  let colors = null;
+  let built = {};
+  let uploaded = null;
+  let uploadError = null;
+
+  const source = document.createElement('select');
+  source.className = 'version-selector';
+  [['built', 'Built files'], ['file', 'JSON file…']].forEach(([value, label]) => {
+    const option = document.createElement('option');
+    option.value = value;
+    option.textContent = label;
+    source.appendChild(option);
+  });
+
+  const fileInput = document.createElement('input');
+  Object.assign(fileInput, { type: 'file', accept: '.json,application/json' });
+  fileInput.className = 'diff-file hidden';
+
+  const method = document.createElement('select');
+  method.className = 'version-selector';
+  Object.entries(CONTRAST_ALGORITHMS).forEach(([key, { label }]) => {
+    const option = document.createElement('option');
+    option.value = key;
+    option.textContent = label;
+    method.appendChild(option);
+  });
+  method.value = DEFAULT_CONTRAST_METHOD;
+
+  const threshold = document.createElement('input');
+  Object.assign(threshold, { type: 'number', min: 0, step: 0.5, value: 1 });
+  threshold.className = 'editor-number';
+
+  const filters = element('div', 'matrix-filters');
+  filters.append(
+    field('Compare with', source),
+    fileInput,
+    field('Contrast', method),
+    field('Max ΔE', threshold),
+  );
+
+  const summary = element('p', 'editor-hint');
+  const report = element('div', 'matrix-container');
+  panel.append(filters, summary, report);
+
+  function render() {
+    if (!colors) return;
+    const previous = source.value === 'file' ? uploaded : built;
+    if (!previous) {
+      summary.textContent = uploadError ?? 'Pick a color-scale-v2.json (or color-scale-v2-dark.json in the dark theme) to compare with.';
+      report.replaceChildren();
+      return;
+    }
+
+    const diff = diffScales(previous, colors, { method: method.value });
+    const maxDeltaE = Number(threshold.value) || 0;
+    const { exceeded, lost } = findRegressions(diff, { maxDeltaE });
+    const { changed, added, removed, unchanged } = diff;
+
+    const parts = [`${changed.length} swatch(es) changed (max ΔE ${diff.maxDeltaE.toFixed(2)}), ${unchanged} unchanged.`];
+    if (changed.length > 0) parts.push(`${exceeded.length} moved more than ΔE ${maxDeltaE} (highlighted), ${lost.length} lost a contrast threshold.`);
+    if (added.length > 0) parts.push(`Added: ${added.join(', ')}.`);
+    if (removed.length > 0) parts.push(`Removed: ${removed.join(', ')}.`);
+    summary.textContent = parts.join(' ');
+    report.replaceChildren(...(changed.length > 0 ? [renderChanges(changed, maxDeltaE)] : []));
+  }
+
+  source.addEventListener('change', () => {
+    fileInput.classList.toggle('hidden', source.value !== 'file');
+    render();
+  });
+  fileInput.addEventListener('change', async () => {
+    const [file] = fileInput.files;
+    if (!file) return;
+    try {
+      uploaded = toHexMap(JSON.parse(await file.text()));
+      uploadError = null;
+    } catch (error) {
+      uploaded = null;
+      uploadError = `Could not read ${file.name}: ${error.message}`;
+    }
+    render();
+  });
+  method.addEventListener('change', render);
+  threshold.addEventListener('input', render);
+
+  return function update(nextColors, nextBuilt) {
+    colors = nextColors;
+    built = nextBuilt;
+    render();
+  };
+}
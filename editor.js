@@ -0,0 +1,298 @@
+// editor.js - Live scale editor, regenerates scales in the browser with scale-v2.js
+import { defaults, colorConfigs } from "./colors-v2.js";
+import { generateColor, formatConfig } from "./palette.js";
+import { resolveStepSet } from "./scale-v2.js";
+
+const SVG_NS = "http://www.w3.org/2000/svg";
+
+// Progression graph size (viewBox units)
+const GRAPH_WIDTH = 372;
+const GRAPH_HEIGHT = 140;
+const GRAPH_PADDING = 14;
+
+/**
+ * Numeric fields with their slider ranges
+ */
+const BASE_FIELDS = {
+  baseHue: { label: 'Hue', min: 0, max: 360, step: 0.01 },
+  baseSaturation: { label: 'Saturation', min: 0, max: 100, step: 0.01 },
+  baseLightness: { label: 'Lightness', min: 0, max: 100, step: 0.01 },
+  startL: { label: 'Start L', min: 0, max: 100, step: 0.5 },
+  endL: { label: 'End L', min: 0, max: 100, step: 0.5 },
+};
+
+/**
+ * Editable progressions with their value ranges
+ */
+const PROGRESSIONS = {
+  hueProgression: { label: 'Hue shift (°)', min: -60, max: 60 },
+  saturationProgression: { label: 'Saturation (% of base)', min: 0, max: 150 },
+  lightnessProgression: { label: 'Lightness (% of range)', min: 0, max: 100 },
+};
+
+/**
+ * Round to 2 decimals, the precision used in colors-v2.js
+ */
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Create an SVG element with attributes
+ */
+function svgElement(tag, attributes = {}) {
+  const element = document.createElementNS(SVG_NS, tag);
+  Object.entries(attributes).forEach(([name, value]) => element.setAttribute(name, value));
+  return element;
+}
+
+/**
+ * Initialize the editor panel
+ * @param {HTMLElement} panel - Container the editor renders into
+ * @param {Function} onChange - Called with the generateColor result after every edit
+ */
+export function initEditor(panel, onChange) {
+  const { steps, baseStep } = resolveStepSet(defaults.steps, defaults.baseStep);
+  // Steps the start/end lightness anchor, shown next to their labels
+  const anchorSteps = { startL: steps[0], endL: steps[steps.length - 1] };
+
+  // Work on copies so edits never leak into the imported config
+  const configs = colorConfigs.map(config => structuredClone(config));
+  let selected = 0;
+  let pendingFrame = null;
+
+  // Regenerate at most once per frame while dragging
+  function regenerate() {
+    if (pendingFrame) return;
+    pendingFrame = requestAnimationFrame(() => {
+      pendingFrame = null;
+      onChange(generateColor(configs[selected], defaults));
+    });
+  }
+
+  // Color picker
+  const select = document.createElement('select');
+  select.className = 'version-selector';
+  configs.forEach((config, index) => {
+    const option = document.createElement('option');
+    option.value = index;
+    option.textContent = config.name;
+    select.appendChild(option);
+  });
+  const selectWrapper = document.createElement('div');
+  selectWrapper.className = 'select-wrapper';
+  selectWrapper.appendChild(select);
+
+  // Numeric fields: slider + number input kept in sync
+  const fieldsContainer = document.createElement('div');
+  fieldsContainer.className = 'editor-fields';
+  const fieldInputs = {};
+
+  Object.entries(BASE_FIELDS).forEach(([key, { label, min, max, step }]) => {
+    const row = document.createElement('label');
+    row.className = 'editor-field';
+
+    const name = document.createElement('span');
+    name.className = 'editor-field-label';
+    name.textContent = key in anchorSteps ? `${label} (${anchorSteps[key]})` : label;
+
+    const range = document.createElement('input');
+    Object.assign(range, { type: 'range', min, max, step });
+
+    const number = document.createElement('input');
+    Object.assign(number, { type: 'number', min, max, step });
+    number.className = 'editor-number';
+
+    const update = (value) => {
+      if (Number.isNaN(value)) return;
+      configs[selected][key] = value;
+      range.value = value;
+      number.value = round(value);
+      regenerate();
+    };
+    range.addEventListener('input', () => update(Number(range.value)));
+    number.addEventListener('change', () => update(Number(number.value)));
+
+    fieldInputs[key] = { range, number };
+    row.append(name, range, number);
+    fieldsContainer.appendChild(row);
+  });
+
+  // Progression graphs
+  const graphsContainer = document.createElement('div');
+  graphsContainer.className = 'editor-graphs';
+  const graphs = {};
+
+  Object.entries(PROGRESSIONS).forEach(([key, { label }]) => {
+    const section = document.createElement('div');
+    section.className = 'editor-graph';
+    const title = document.createElement('h4');
+    title.textContent = label;
+    const svg = svgElement('svg', { viewBox: `0 0 ${GRAPH_WIDTH} ${GRAPH_HEIGHT}` });
+    section.append(title, svg);
+    graphsContainer.appendChild(section);
+    graphs[key] = svg;
+  });
+
+  // Actions
+  const actions = document.createElement('div');
+  actions.className = 'editor-actions';
+  const copyButton = document.createElement('button');
+  copyButton.className = 'copy-scale-button';
+  copyButton.textContent = 'Copy config';
+  const resetButton = document.createElement('button');
+  resetButton.className = 'copy-scale-button';
+  resetButton.textContent = 'Reset';
+  actions.append(copyButton, resetButton);
+
+  const hint = document.createElement('p');
+  hint.className = 'editor-hint';
+  hint.textContent = 'Drag points to change a step, click a column to add one, double-click a point to remove it. Hollow points come from defaults.';
+
+  panel.append(selectWrapper, fieldsContainer, graphsContainer, hint, actions);
+
+  // Graph coordinates
+  const xForIndex = index => GRAPH_PADDING + index * (GRAPH_WIDTH - 2 * GRAPH_PADDING) / (steps.length - 1);
+  const indexForX = x => Math.round((x - GRAPH_PADDING) / (GRAPH_WIDTH - 2 * GRAPH_PADDING) * (steps.length - 1));
+  const yForValue = (value, { min, max }) => GRAPH_HEIGHT - GRAPH_PADDING - (value - min) / (max - min) * (GRAPH_HEIGHT - 2 * GRAPH_PADDING);
+  const valueForY = (y, { min, max }) => min + (GRAPH_HEIGHT - GRAPH_PADDING - y) / (GRAPH_HEIGHT - 2 * GRAPH_PADDING) * (max - min);
+
+  // Convert a pointer event to viewBox coordinates
+  function toSvgPoint(svg, event) {
+    const rect = svg.getBoundingClientRect();
+    return {
+      x: (event.clientX - rect.left) / rect.width * GRAPH_WIDTH,
+      y: (event.clientY - rect.top) / rect.height * GRAPH_HEIGHT,
+    };
+  }
+
+  function clampValue(value, { min, max }) {
+    return round(Math.min(max, Math.max(min, value)));
+  }
+
+  // Set a control point as a color-specific override
+  function setPoint(key, step, value) {
+    const config = configs[selected];
+    config[key] = { ...config[key], [step]: clampValue(value, PROGRESSIONS[key]) };
+    renderGraph(key);
+    regenerate();
+  }
+
+  function renderGraph(key) {
+    const svg = graphs[key];
+    const range = PROGRESSIONS[key];
+    const own = configs[selected][key] ?? {};
+    const effective = { ...defaults[key], ...own };
+    svg.replaceChildren();
+
+    // Step columns (clickable to add a point)
+    steps.forEach((step, index) => {
+      svg.appendChild(svgElement('line', {
+        class: step === baseStep ? 'editor-axis editor-axis-base' : 'editor-axis',
+        x1: xForIndex(index), x2: xForIndex(index),
+        y1: GRAPH_PADDING, y2: GRAPH_HEIGHT - GRAPH_PADDING,
+      }));
+    });
+
+    // Line through the control points
+    const points = Object.entries(effective)
+      .map(([step, value]) => [steps.indexOf(Number(step)), value])
+      .filter(([index]) => index !== -1)
+      .sort((a, b) => a[0] - b[0]);
+    svg.appendChild(svgElement('polyline', {
+      class: 'editor-curve',
+      points: points.map(([index, value]) => `${xForIndex(index)},${yForValue(value, range)}`).join(' '),
+    }));
+
+    // Draggable control points
+    points.forEach(([index, value]) => {
+      const step = steps[index];
+      const circle = svgElement('circle', {
+        class: step in own ? 'editor-point' : 'editor-point editor-point-default',
+        cx: xForIndex(index),
+        cy: yForValue(value, range),
+        r: 5,
+      });
+      const title = svgElement('title');
+      title.textContent = `${step}: ${round(value)}`;
+      circle.appendChild(title);
+      svg.appendChild(circle);
+
+      circle.addEventListener('pointerdown', (event) => {
+        event.preventDefault();
+        circle.setPointerCapture(event.pointerId);
+        let moved = false;
+        const move = (moveEvent) => {
+          moved = true;
+          const { y } = toSvgPoint(svg, moveEvent);
+          const next = clampValue(valueForY(y, range), range);
+          circle.setAttribute('cy', yForValue(next, range));
+          title.textContent = `${step}: ${next}`;
+          configs[selected][key] = { ...configs[selected][key], [step]: next };
+          regenerate();
+        };
+        const up = () => {
+          circle.removeEventListener('pointermove', move);
+          circle.removeEventListener('pointerup', up);
+          // Redraw only after a drag, so a plain click can still become a double-click
+          if (moved) renderGraph(key);
+        };
+        circle.addEventListener('pointermove', move);
+        circle.addEventListener('pointerup', up);
+      });
+
+      // Remove a color-specific point (default points can only be moved)
+      circle.addEventListener('dblclick', () => {
+        if (!(step in own)) return;
+        const { [step]: removed, ...rest } = configs[selected][key];
+        configs[selected][key] = Object.keys(rest).length > 0 ? rest : undefined;
+        renderGraph(key);
+        regenerate();
+      });
+    });
+
+    // Click an empty column to add a point there
+    svg.onclick = (event) => {
+      if (event.target.tagName === 'circle') return;
+      const { x, y } = toSvgPoint(svg, event);
+      const index = indexForX(x);
+      if (index < 0 || index >= steps.length || steps[index] === baseStep || steps[index] in effective) return;
+      setPoint(key, steps[index], valueForY(y, range));
+    };
+  }
+
+  function renderFields() {
+    const config = configs[selected];
+    Object.entries(fieldInputs).forEach(([key, { range, number }]) => {
+      const value = config[key] ?? defaults[key];
+      range.value = value;
+      number.value = round(value);
+    });
+  }
+
+  function renderAll() {
+    renderFields();
+    Object.keys(PROGRESSIONS).forEach(renderGraph);
+  }
+
+  select.addEventListener('change', () => {
+    selected = Number(select.value);
+    renderAll();
+  });
+
+  copyButton.addEventListener('click', async () => {
+    await navigator.clipboard.writeText(formatConfig(configs[selected]));
+    copyButton.textContent = 'Copied!';
+    setTimeout(() => {
+      copyButton.textContent = 'Copy config';
+    }, 2000);
+  });
+
+  resetButton.addEventListener('click', () => {
+    configs[selected] = structuredClone(colorConfigs[selected]);
+    renderAll();
+    regenerate();
+  });
+
+  renderAll();
+}
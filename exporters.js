@@ -0,0 +1,401 @@
+// exporters.js - Pluggable output formats for the generated color scales
+import { encodeAse, encodeGpl, encodeSketchPalette, encodeProcreateSwatches, toFigmaVariables } from './swatch-files.js';
+
+/**
+ * Every exporter receives the same palette object and returns the files to write.
+ * Token names follow the build's step naming: `${colorName}-${step}` (e.g. red-500),
+ * with alpha variants as `${colorName}-a${step}` (e.g. red-a500) and on-colors
+ * (foregrounds) as `${colorName}-${step}-on` (e.g. red-500-on).
+ *
+ * @typedef {Object} Palette
+ * @property {Array<number>} steps - Step numbers shared by every scale (e.g. 50, 100, ..., 950)
+ * @property {Object} colors - { colorName: { step: hex } }
+ * @property {Object} p3 - { colorName: { step: { srgb, p3 } } }
+ * @property {Object} dark - { colorName: { step: hex } } dark-mode scales
+ * @property {Object} alpha - { background: { light, dark }, light, dark } with light/dark
+ *   { colorName: { step: '#rrggbbaa' } } matching each step over its mode's background (see alpha-scale.js)
+ * @property {Object} onColors - { method, target, fallback, light, dark } with light/dark
+ *   { colorName: { step: { name, hex, contrast, passed } } } foregrounds (see on-colors.js)
+ * @property {Object} themes - { light: { role: hex }, dark: { role: hex } } semantic tokens
+ * @property {string} schema - JSON schema for the json/dark outputs: 'hex' or 'rich'
+ * @property {Object} metadata - { light, dark } per-step metadata (see scale-metadata.js), filled for 'rich'
+ *
+ * @typedef {Object} OutputFile
+ * @property {string} file - File name, relative to the output directory
+ * @property {string|Buffer} content - File contents (a Buffer for binary formats)
+ */
+
+const BASE_NAME = 'color-scale-v2';
+
+/**
+ * Format a value as pretty JSON (2-space indent, like the rest of the build output)
+ */
+function toJson(value) {
+  return JSON.stringify(value, null, 2);
+}
+
+/**
+ * Iterate every swatch as [colorName, step, hex]
+ * @param {Palette} palette
+ * @returns {Array<Array>}
+ */
+function swatches({ steps, colors }) {
+  return Object.entries(colors).flatMap(([colorName, shades]) =>
+    steps.map(step => [colorName, step, shades[step]])
+  );
+}
+
+/**
+ * Key of a step's alpha variant in token maps (a500)
+ */
+function alphaKey(step) {
+  return `a${step}`;
+}
+
+/**
+ * Key of a step's on-color in token maps (500-on)
+ */
+function onKey(step) {
+  return `${step}-on`;
+}
+
+/**
+ * Light scales as swatch groups for the design tool files (see swatch-files.js)
+ *
+ * Each color gets a group for its steps (red), its alpha variants (red-alpha)
+ * and its on-colors (red-on), with swatches named like the CSS variables.
+ * Formats that only store opaque RGB (ASE, GPL) leave the alpha variants out
+ * rather than flatten them to a different color.
+ *
+ * @param {Palette} palette
+ * @param {Object} [options]
+ * @param {boolean} [options.alpha] - Include the alpha variant groups (default: true)
+ * @returns {Array<Object>} - [{ name, swatches: [{ name: 'red-500', hex }] }]
+ */
+function swatchGroups(palette, { alpha = true } = {}) {
+  const { steps, colors } = palette;
+  const onColors = onColorHexes(palette, 'light');
+  return Object.entries(colors).flatMap(([colorName, shades]) => [
+    { name: colorName, swatches: steps.map(step => ({ name: `${colorName}-${step}`, hex: shades[step] })) },
+    ...(alpha ? [{
+      name: `${colorName}-alpha`,
+      swatches: steps.map(step => ({ name: `${colorName}-${alphaKey(step)}`, hex: palette.alpha.light[colorName][step] })),
+    }] : []),
+    { name: `${colorName}-on`, swatches: steps.map(step => ({ name: `${colorName}-${onKey(step)}`, hex: onColors[colorName][step] })) },
+  ]);
+}
+
+/**
+ * Hex map of the on-colors for one mode
+ * @param {Palette} palette
+ * @param {string} mode - 'light' or 'dark'
+ * @returns {Object} - { colorName: { step: hex } }
+ */
+function onColorHexes({ onColors }, mode) {
+  return Object.fromEntries(Object.entries(onColors[mode]).map(([colorName, shades]) => [
+    colorName,
+    Object.fromEntries(Object.entries(shades).map(([step, { hex }]) => [step, hex])),
+  ]));
+}
+
+/**
+ * Scales with their alpha variants and on-colors added under a500 and 500-on
+ * keys ({ red: { 50, ..., a50, ..., 50-on, ... } }) for formats that nest tokens by color
+ * @param {Palette} palette
+ * @returns {Object}
+ */
+function withVariantTokens(palette) {
+  const { steps, colors, alpha } = palette;
+  const onColors = onColorHexes(palette, 'light');
+  return Object.fromEntries(Object.entries(colors).map(([colorName, shades]) => [colorName, {
+    ...shades,
+    ...Object.fromEntries(steps.map(step => [alphaKey(step), alpha.light[colorName][step]])),
+    ...Object.fromEntries(steps.map(step => [onKey(step), onColors[colorName][step]])),
+  }]));
+}
+
+/**
+ * Build the CSS custom properties block, with P3 overrides when available
+ * @param {Palette} palette
+ * @returns {string}
+ */
+function toCssVariables(palette) {
+  let css = `:root {\n`;
+  for (const [colorName, step, hex] of swatches(palette)) {
+    css += `  --${colorName}-${step}: ${hex};\n`;
+  }
+  for (const [colorName, step] of swatches(palette)) {
+    css += `  --${colorName}-${alphaKey(step)}: ${palette.alpha.light[colorName][step]};\n`;
+  }
+  for (const [colorName, step] of swatches(palette)) {
+    css += `  --${colorName}-${onKey(step)}: ${palette.onColors.light[colorName][step].hex};\n`;
+  }
+  css += `}\n`;
+
+  const p3Names = Object.keys(palette.p3 ?? {});
+  if (p3Names.length > 0) {
+    css += `\n@media (color-gamut: p3) {\n  :root {\n`;
+    for (const colorName of p3Names) {
+      for (const step of palette.steps) {
+        css += `    --${colorName}-${step}: ${palette.p3[colorName][step].p3};\n`;
+      }
+    }
+    css += `  }\n}\n`;
+  }
+
+  return css;
+}
+
+/**
+ * Build a CSS rule that sets one custom property per semantic role
+ * @param {string} selector - CSS selector for the theme
+ * @param {Object} roles - { role: hex }
+ * @returns {string}
+ */
+function toThemeRule(selector, roles) {
+  let css = `${selector} {\n`;
+  for (const [role, hex] of Object.entries(roles)) {
+    css += `  --${role}: ${hex};\n`;
+  }
+  css += `}\n`;
+  return css;
+}
+
+/**
+ * Built-in exporters, keyed by format name
+ */
+const exporters = {
+  json: {
+    description: 'Hex map keyed by color and step (per-step metadata with --schema rich)',
+    export: ({ colors, schema, metadata }) => [{
+      file: `${BASE_NAME}.json`,
+      content: toJson(schema === 'rich' ? metadata.light : colors),
+    }],
+  },
+
+  js: {
+    description: 'COLOR_SCALE, COLOR_SCALE_ALPHA and COLOR_SCALE_ON constants for <script> tags',
+    export: (palette) => [{
+      file: `${BASE_NAME}.js`,
+      content: `// ${BASE_NAME}.js\nconst COLOR_SCALE = ${toJson(palette.colors)};\n`
+        + `\n// Alpha variants, matching each step over ${palette.alpha.background.light}\nconst COLOR_SCALE_ALPHA = ${toJson(palette.alpha.light)};\n`
+        + `\n// On-colors, the foreground for text on each step\nconst COLOR_SCALE_ON = ${toJson(onColorHexes(palette, 'light'))};\n`,
+    }],
+  },
+
+  p3: {
+    description: 'Display P3 values with sRGB fallbacks',
+    export: ({ p3 }) => [{ file: `${BASE_NAME}-p3.json`, content: toJson(p3) }],
+  },
+
+  dark: {
+    description: 'Dark-mode scales as a hex map (per-step metadata with --schema rich)',
+    export: ({ dark, schema, metadata }) => [{
+      file: `${BASE_NAME}-dark.json`,
+      content: toJson(schema === 'rich' ? metadata.dark : dark),
+    }],
+  },
+
+  alpha: {
+    description: 'Alpha variants (#rrggbbaa) of the light and dark scales over their backgrounds',
+    export: ({ alpha }) => [{ file: `${BASE_NAME}-alpha.json`, content: toJson(alpha) }],
+  },
+
+  on: {
+    description: 'On-colors of the light and dark scales, with the swatch each came from and its contrast',
+    export: ({ onColors }) => {
+      const describe = (scales) => Object.fromEntries(Object.entries(scales).map(([colorName, shades]) => [
+        colorName,
+        Object.fromEntries(Object.entries(shades).map(([step, { name, hex, contrast, passed }]) => [
+          step,
+          { name, hex, contrast: Number(contrast.toFixed(2)), passed },
+        ])),
+      ]));
+      const { method, target, fallback, light, dark } = onColors;
+      return [{ file: `${BASE_NAME}-on.json`, content: toJson({ method, target, fallback, light: describe(light), dark: describe(dark) }) }];
+    },
+  },
+
+  esm: {
+    description: 'ES module with TypeScript declarations',
+    export: (palette) => {
+      const { steps, colors, alpha } = palette;
+      const colorNames = Object.keys(colors).map(name => `'${name}'`).join(' | ');
+      return [
+        {
+          file: `${BASE_NAME}.mjs`,
+          content: `// ${BASE_NAME}.mjs\nexport const COLOR_SCALE = ${toJson(colors)};\n`
+            + `\n// Alpha variants, matching each step over ${alpha.background.light}\nexport const COLOR_SCALE_ALPHA = ${toJson(alpha.light)};\n`
+            + `\n// On-colors, the foreground for text on each step\nexport const COLOR_SCALE_ON = ${toJson(onColorHexes(palette, 'light'))};\n`
+            + `\nexport default COLOR_SCALE;\n`,
+        },
+        {
+          file: `${BASE_NAME}.d.mts`,
+          content: `// ${BASE_NAME}.d.mts\n`
+            + `export type ColorName = ${colorNames};\n`
+            + `export type ColorStep = ${steps.join(' | ')};\n`
+            + `export declare const COLOR_SCALE: Record<ColorName, Record<ColorStep, string>>;\n`
+            + `export declare const COLOR_SCALE_ALPHA: Record<ColorName, Record<ColorStep, string>>;\n`
+            + `export declare const COLOR_SCALE_ON: Record<ColorName, Record<ColorStep, string>>;\n`
+            + `export default COLOR_SCALE;\n`,
+        },
+      ];
+    },
+  },
+
+  css: {
+    description: 'CSS custom properties (--red-500, --red-a500, --red-500-on) with P3 overrides',
+    export: (palette) => [{ file: `${BASE_NAME}.css`, content: toCssVariables(palette) }],
+  },
+
+  scss: {
+    description: 'SCSS maps per color (and its alpha variants and on-colors) plus $colors, $colors-alpha and $colors-on maps',
+    export: (palette) => {
+      const { steps, colors, alpha } = palette;
+      const onColors = onColorHexes(palette, 'light');
+      let scss = `// ${BASE_NAME}.scss\n`;
+      for (const [colorName, shades] of Object.entries(colors)) {
+        scss += `\n$${colorName}: (\n`;
+        scss += steps.map(step => `  ${step}: ${shades[step]}`).join(',\n');
+        scss += `\n);\n`;
+        scss += `\n$${colorName}-alpha: (\n`;
+        scss += steps.map(step => `  ${step}: ${alpha.light[colorName][step]}`).join(',\n');
+        scss += `\n);\n`;
+        scss += `\n$${colorName}-on: (\n`;
+        scss += steps.map(step => `  ${step}: ${onColors[colorName][step]}`).join(',\n');
+        scss += `\n);\n`;
+      }
+      scss += `\n$colors: (\n`;
+      scss += Object.keys(colors).map(colorName => `  "${colorName}": $${colorName}`).join(',\n');
+      scss += `\n);\n`;
+      scss += `\n$colors-alpha: (\n`;
+      scss += Object.keys(colors).map(colorName => `  "${colorName}": $${colorName}-alpha`).join(',\n');
+      scss += `\n);\n`;
+      scss += `\n$colors-on: (\n`;
+      scss += Object.keys(colors).map(colorName => `  "${colorName}": $${colorName}-on`).join(',\n');
+      scss += `\n);\n`;
+      return [{ file: `${BASE_NAME}.scss`, content: scss }];
+    },
+  },
+
+  tailwind: {
+    description: 'Tailwind preset with theme.colors (bg-red-500, bg-red-a500, text-red-500-on)',
+    export: (palette) => [{
+      file: `${BASE_NAME}.tailwind.js`,
+      content: `// ${BASE_NAME}.tailwind.js - Tailwind preset, add it to \`presets\` in tailwind.config.js\n`
+        + `export default ${toJson({ theme: { colors: withVariantTokens(palette) } })};\n`,
+    }],
+  },
+
+  themes: {
+    description: 'Semantic tokens as light and dark theme CSS',
+    export: ({ themes }) => [
+      {
+        file: `${BASE_NAME}-theme-light.css`,
+        content: `/* ${BASE_NAME}-theme-light.css - Semantic tokens, light theme */\n`
+          + toThemeRule(':root,\n[data-theme="light"]', themes.light),
+      },
+      {
+        file: `${BASE_NAME}-theme-dark.css`,
+        content: `/* ${BASE_NAME}-theme-dark.css - Semantic tokens, dark theme */\n`
+          + toThemeRule('[data-theme="dark"]', themes.dark),
+      },
+    ],
+  },
+
+  dtcg: {
+    description: 'W3C Design Tokens (DTCG $value/$type)',
+    export: (palette) => {
+      const tokens = { color: {} };
+      for (const [colorName, shades] of Object.entries(withVariantTokens(palette))) {
+        tokens.color[colorName] = {};
+        for (const [key, value] of Object.entries(shades)) {
+          tokens.color[colorName][key] = { $type: 'color', $value: value };
+        }
+      }
+      return [{ file: `${BASE_NAME}.tokens.json`, content: toJson(tokens) }];
+    },
+  },
+
+  figma: {
+    description: 'Figma Variables (POST /v1/files/:key/variables body), Light and Dark modes',
+    export: (palette) => {
+      const { steps, colors, dark, alpha } = palette;
+      const onColors = { light: onColorHexes(palette, 'light'), dark: onColorHexes(palette, 'dark') };
+      const variables = Object.keys(colors).flatMap(colorName => [
+        ...steps.map(step => ({ name: `${colorName}-${step}`, light: colors[colorName][step], dark: dark[colorName][step] })),
+        ...steps.map(step => ({ name: `${colorName}-${alphaKey(step)}`, light: alpha.light[colorName][step], dark: alpha.dark[colorName][step] })),
+        ...steps.map(step => ({ name: `${colorName}-${onKey(step)}`, light: onColors.light[colorName][step], dark: onColors.dark[colorName][step] })),
+      ]);
+      return [{ file: `${BASE_NAME}.figma.json`, content: toJson(toFigmaVariables(BASE_NAME, variables)) }];
+    },
+  },
+
+  ase: {
+    description: 'Adobe Swatch Exchange, groups per color and its on-colors (no alpha)',
+    export: (palette) => [{ file: `${BASE_NAME}.ase`, content: encodeAse(swatchGroups(palette, { alpha: false })) }],
+  },
+
+  gpl: {
+    description: 'GIMP/Inkscape palette with the on-colors (no alpha)',
+    export: (palette) => [{ file: `${BASE_NAME}.gpl`, content: encodeGpl(swatchGroups(palette, { alpha: false }), BASE_NAME) }],
+  },
+
+  sketch: {
+    description: 'Sketch Palettes plugin file with the alpha variants and on-colors',
+    export: (palette) => [{ file: `${BASE_NAME}.sketchpalette`, content: encodeSketchPalette(swatchGroups(palette)) }],
+  },
+
+  procreate: {
+    description: 'Procreate swatches, palettes per color, its alpha variants and its on-colors',
+    export: (palette) => swatchGroups(palette).map(group => ({
+      file: `${BASE_NAME}-${group.name}.swatches`,
+      content: encodeProcreateSwatches(group),
+    })),
+  },
+};
+
+/**
+ * Formats written when none are requested (the historical build output)
+ */
+export const DEFAULT_FORMATS = ['json', 'js', 'p3'];
+
+/**
+ * Register an additional exporter (or replace a built-in one)
+ * @param {string} format - Format name used on the command line
+ * @param {Object} exporter - { description, export(palette) => Array<OutputFile> }
+ */
+export function registerExporter(format, exporter) {
+  if (typeof exporter?.export !== 'function') {
+    throw new Error(`Exporter "${format}" must provide an export(palette) function`);
+  }
+  exporters[format] = exporter;
+}
+
+/**
+ * List the available format names with their descriptions
+ * @returns {Object} - { format: description }
+ */
+export function listExporters() {
+  return Object.fromEntries(
+    Object.entries(exporters).map(([format, { description }]) => [format, description])
+  );
+}
+
+/**
+ * Run the requested exporters over a palette
+ * @param {Array<string>} formats - Format names ('all' expands to every exporter)
+ * @param {Palette} palette
+ * @returns {Array<OutputFile>}
+ */
+export function runExporters(formats, palette) {
+  const requested = formats.includes('all') ? Object.keys(exporters) : formats;
+
+  for (const format of requested) {
+    if (!exporters[format]) {
+      throw new Error(`Unknown export format "${format}", expected one of ${Object.keys(exporters).join(', ')}, all`);
+    }
+  }
+
+  return requested.flatMap(format => exporters[format].export(palette));
+}
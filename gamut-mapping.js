@@ -0,0 +1,88 @@
+// gamut-mapping.js - Gamut mapping strategies for generated OKLCH colors
+
+import Color from 'colorjs.io';
+
+/**
+ * Available gamut mapping strategies (Color.js toGamut options)
+ *
+ * - clip: clamp each RGB channel independently (fast, but shifts hue and lightness)
+ * - css: CSS Color 4 algorithm, reduces OKLCH chroma at constant lightness and hue
+ * - minde: reduces OKLCH chroma until clipping the result is within one JND (ΔEOK 0.02)
+ */
+export const GAMUT_MAPPING_METHODS = {
+  clip: { method: 'clip' },
+  css: { method: 'css' },
+  minde: { method: 'oklch.c', deltaEMethod: 'OK', jnd: 0.02 },
+};
+
+/**
+ * Map an OKLCH color into a target gamut
+ *
+ * @param {Object} oklch - { L, C, H } with L in percentage (0-100)
+ * @param {Object} options - Mapping options
+ * @param {string} options.method - Key of GAMUT_MAPPING_METHODS (default: 'css')
+ * @param {string} options.space - Target gamut, a Color.js space id (default: 'srgb')
+ * @returns {Object} - { L, C, H, deltaE } mapped OKLCH plus ΔEOK from the input
+ */
+export function mapToGamut({ L, C, H }, { method = 'css', space = 'srgb' } = {}) {
+  const options = GAMUT_MAPPING_METHODS[method];
+  if (!options) {
+    throw new Error(`Unknown gamut mapping "${method}", expected one of ${Object.keys(GAMUT_MAPPING_METHODS).join(', ')}`);
+  }
+
+  const color = new Color("oklch", [L / 100, C, H]);
+  if (color.inGamut(space)) {
+    return { L, C, H, deltaE: 0 };
+  }
+
+  const mapped = color.clone().toGamut({ ...options, space });
+  return {
+    L: mapped.coords[0] * 100,
+    C: mapped.coords[1],
+    H: mapped.coords[2] ?? H,  // Hue is undefined when mapping lands on gray
+    deltaE: color.deltaE(mapped, 'OK')
+  };
+}
+
+/**
+ * Highest OKLCH chroma inside a gamut at a given lightness and hue
+ *
+ * @param {number} L - Lightness in percentage (0-100)
+ * @param {number} H - Hue in degrees
+ * @param {string} space - Gamut, a Color.js space id (default: 'srgb')
+ * @returns {number} - Chroma of the gamut boundary
+ */
+export function maxChroma(L, H, space = 'srgb') {
+  let low = 0;
+  let high = 0.5;
+  for (let i = 0; i < 24; i++) {
+    const mid = (low + high) / 2;
+    if (new Color("oklch", [L / 100, mid, H]).inGamut(space)) {
+      low = mid;
+    } else {
+      high = mid;
+    }
+  }
+  return low;
+}
+
+/**
+ * Carry a color over to a wider gamut at the same relative chroma
+ *
+ * The chroma keeps its share of the boundary chroma at that lightness and
+ * hue, so a step on the sRGB edge lands on the P3 edge while grays and muted
+ * steps only gain as much as their saturation asks for.
+ *
+ * @param {Object} oklch - { L, C, H } with L in percentage (0-100)
+ * @param {Object} options
+ * @param {string} options.from - Gamut the color was generated for (default: 'srgb')
+ * @param {string} options.to - Wider gamut (default: 'p3')
+ * @returns {Object} - { L, C, H } with the widened chroma
+ */
+export function widenChroma({ L, C, H }, { from = 'srgb', to = 'p3' } = {}) {
+  const boundary = maxChroma(L, H, from);
+  if (boundary === 0) {
+    return { L, C, H };
+  }
+  return { L, C: C * (maxChroma(L, H, to) / boundary), H };
+}
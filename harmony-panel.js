@@ -0,0 +1,93 @@
+// harmony-panel.js - Browser view of the cross-hue uniformity report (see harmony.js)
+import { analyzeHarmony, HARMONY_METRICS, DEFAULT_TOLERANCE } from "./harmony.js";
+
+/**
+ * Create an element with a class and text
+ */
+function element(tag, className, text) {
+  const node = document.createElement(tag);
+  if (className) node.className = className;
+  if (text !== undefined) node.textContent = text;
+  return node;
+}
+
+/**
+ * Table of min–max (spread) per step and metric, outliers listed under each cell
+ */
+function renderSpreadTable(report, tolerance) {
+  const table = element('table', 'harmony-table');
+  const header = table.createTHead().insertRow();
+  header.appendChild(element('th', null, 'Step'));
+  Object.values(HARMONY_METRICS).forEach(({ label, tolerance: limit }) => {
+    header.appendChild(element('th', null, `${label} (±${tolerance[limit]})`));
+  });
+
+  const body = table.createTBody();
+  report.steps.forEach(({ step, metrics }) => {
+    const row = body.insertRow();
+    row.appendChild(element('th', null, step));
+    Object.entries(HARMONY_METRICS).forEach(([key, { precision }]) => {
+      const { min, max, spread, median, values, outliers } = metrics[key];
+      const cell = row.insertCell();
+      cell.appendChild(element('div', null, `${min.toFixed(precision)}–${max.toFixed(precision)} (${spread.toFixed(precision)})`));
+      cell.title = `median ${median.toFixed(precision)}`;
+      if (outliers.length > 0) {
+        cell.classList.add('harmony-flagged');
+        const list = outliers.map(name => `${name} ${values[name].toFixed(precision)}`).join(', ');
+        cell.appendChild(element('div', 'harmony-outliers', list));
+      }
+    });
+  });
+
+  return table;
+}
+
+/**
+ * Table of ΔE2000 between neighbouring steps, ΔEOK in the tooltip
+ */
+function renderAdjacentTable(report) {
+  const table = element('table', 'harmony-table');
+  const [firstScale] = Object.values(report.adjacent);
+  const header = table.createTHead().insertRow();
+  header.appendChild(element('th', null, 'Color'));
+  firstScale.forEach(({ from, to }) => header.appendChild(element('th', null, `${from}→${to}`)));
+
+  const body = table.createTBody();
+  Object.entries(report.adjacent).forEach(([name, deltas]) => {
+    const row = body.insertRow();
+    row.appendChild(element('th', null, name));
+    deltas.forEach(({ deltaE2000, deltaEOK }) => {
+      const cell = row.insertCell();
+      cell.textContent = deltaE2000.toFixed(1);
+      cell.title = `ΔEOK ${deltaEOK.toFixed(3)}`;
+    });
+  });
+
+  return table;
+}
+
+/**
+ * Initialize the harmony panel
+ * @param {HTMLElement} panel - Container the report renders into
+ * @param {Object} settings - `harmony` from colors-v2.js ({ tolerance, neutrals })
+ * @returns {Function} - update(colors) re-analyzes { colorName: { step: hex } }
+ */
+export function initHarmonyPanel(panel, settings = {}) {
+  const tolerance = { ...DEFAULT_TOLERANCE, ...settings.tolerance };
+
+  return function update(colors) {
+    const report = analyzeHarmony(colors, { tolerance, neutrals: settings.neutrals });
+
+    const summary = element('p', 'editor-hint', report.outlierCount > 0
+      ? `${report.outlierCount} value(s) stray from their step's median across hues by more than the tolerance (highlighted).`
+      : 'Every step is within tolerance across hues.');
+
+    panel.replaceChildren(
+      summary,
+      element('h4', null, 'Spread per step (min–max, spread)'),
+      renderSpreadTable(report, tolerance),
+      element('h4', null, 'ΔE2000 between adjacent steps (hover for ΔEOK)'),
+      renderAdjacentTable(report),
+    );
+  };
+}
@@ -0,0 +1,67 @@
+// harmony-report.js - Print how uniform each step is across hues
+import { generateColor } from './palette.js';
+import { analyzeHarmony, HARMONY_METRICS, DEFAULT_TOLERANCE } from './harmony.js';
+
+/**
+ * Format "min–max (spread)" for one metric
+ */
+function formatRange({ min, max, spread }, precision) {
+  return `${min.toFixed(precision)}–${max.toFixed(precision)} (${spread.toFixed(precision)})`;
+}
+
+/**
+ * Print the harmony report of a palette: spread and outliers per step, then
+ * the distance between adjacent steps of every scale
+ *
+ * @param {Object} palette - Resolved config (see config-loader.js)
+ * @param {Object} [options]
+ * @param {string} [options.mode] - 'light' or 'dark' scales (default: light)
+ * @returns {Object} - analyzeHarmony() report
+ */
+export function printHarmonyReport({ defaults, colorConfigs, harmony }, { mode = 'light' } = {}) {
+  const colors = Object.fromEntries(colorConfigs.map(config => {
+    const { name, hex, darkHex } = generateColor(config, defaults);
+    return [name, mode === 'dark' ? darkHex : hex];
+  }));
+
+  const tolerance = { ...DEFAULT_TOLERANCE, ...harmony.tolerance };
+  const report = analyzeHarmony(colors, { tolerance, neutrals: harmony.neutrals });
+  const metrics = Object.entries(HARMONY_METRICS);
+
+  console.log(`\n🎨 Harmony report (${mode} scales, ${Object.keys(colors).length} colors)\n`);
+
+  // Spread per step: min–max (max - min) across hues
+  console.log(['Step'.padEnd(6), ...metrics.map(([, { label }]) => label.padEnd(24))].join(''));
+  for (const { step, metrics: values } of report.steps) {
+    console.log([String(step).padEnd(6), ...metrics.map(([key, { precision }]) => formatRange(values[key], precision).padEnd(24))].join(''));
+  }
+
+  // Outliers: hues further than the tolerance from the step's median
+  console.log('');
+  for (const { step, metrics: values } of report.steps) {
+    for (const [key, { label, precision, tolerance: limit }] of metrics) {
+      const { outliers, median } = values[key];
+      if (outliers.length === 0) continue;
+      const list = outliers.map(name => `${name} ${values[key].values[name].toFixed(precision)}`).join(', ');
+      console.log(`  ⚠ ${String(step).padEnd(5)} ${label}: ${list} (median ${median.toFixed(precision)} ± ${tolerance[limit]})`);
+    }
+  }
+
+  // Distance between neighbouring steps of each scale
+  const pairs = report.adjacent[Object.keys(colors)[0]].map(({ from, to }) => `${from}→${to}`);
+  for (const [title, key, precision] of [['ΔE2000', 'deltaE2000', 1], ['ΔEOK', 'deltaEOK', 3]]) {
+    console.log(`\n${title} between adjacent steps\n`);
+    console.log(['Color'.padEnd(10), ...pairs.map(pair => pair.padEnd(9))].join(''));
+    for (const [name, deltas] of Object.entries(report.adjacent)) {
+      console.log([name.padEnd(10), ...deltas.map(delta => delta[key].toFixed(precision).padEnd(9))].join(''));
+    }
+  }
+
+  const limits = `L ±${tolerance.lightness}, C ±${tolerance.chroma}, Lc ±${tolerance.contrast}`;
+  if (report.outlierCount > 0) {
+    console.log(`\n⚠️  ${report.outlierCount} outlier(s) beyond tolerance (${limits})\n`);
+  } else {
+    console.log(`\n✅ Every step within tolerance (${limits})\n`);
+  }
+  return report;
+}
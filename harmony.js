@@ -0,0 +1,122 @@
+// harmony.js - Cross-hue uniformity analysis of the generated scales
+// Used by harmony-report.js on the command line and by the harmony panel in the browser.
+
+import Color from 'colorjs.io';
+
+/**
+ * Per-step metrics compared across hues
+ * - lightness: OKLCH L (0-100)
+ * - chroma: OKLCH C
+ * - whiteOn / blackOn: APCA Lc of white / black text on the swatch (absolute)
+ */
+export const HARMONY_METRICS = {
+  lightness: { label: 'OKLCH L', tolerance: 'lightness', precision: 1 },
+  chroma: { label: 'OKLCH C', tolerance: 'chroma', precision: 3, skipNeutrals: true },
+  whiteOn: { label: 'White on Lc', tolerance: 'contrast', precision: 1 },
+  blackOn: { label: 'Black on Lc', tolerance: 'contrast', precision: 1 },
+};
+
+/**
+ * Default outlier tolerances (maximum distance from the step's median across hues)
+ */
+export const DEFAULT_TOLERANCE = {
+  lightness: 5,
+  chroma: 0.05,
+  contrast: 10,
+};
+
+const WHITE = new Color('#ffffff');
+const BLACK = new Color('#000000');
+
+/**
+ * Measure one swatch
+ */
+function measure(hex) {
+  const color = new Color(hex);
+  const [L, C] = color.to('oklch').coords;
+  return {
+    lightness: L * 100,
+    chroma: C,
+    // APCA: background.contrast(text, "APCA")
+    whiteOn: Math.abs(color.contrast(WHITE, 'APCA')),
+    blackOn: Math.abs(color.contrast(BLACK, 'APCA')),
+  };
+}
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+/**
+ * Spread of one metric at one step, with the hues that stray too far from the median
+ */
+function summarize(values, tolerance) {
+  const list = Object.values(values);
+  const center = median(list);
+  return {
+    values,
+    min: Math.min(...list),
+    max: Math.max(...list),
+    median: center,
+    spread: Math.max(...list) - Math.min(...list),
+    outliers: Object.entries(values)
+      .filter(([, value]) => Math.abs(value - center) > tolerance)
+      .map(([name]) => name),
+  };
+}
+
+/**
+ * Analyze how uniform the scales are across hues
+ *
+ * @param {Object} colors - { colorName: { step: hex } }, e.g. color-scale-v2.json
+ * @param {Object} [options]
+ * @param {Object} [options.tolerance] - { lightness, chroma, contrast } outlier thresholds
+ * @param {Array<string>} [options.neutrals] - Colors left out of the chroma comparison (grays)
+ * @returns {Object} - { steps, adjacent, outlierCount }
+ *   steps: [{ step, metrics: { lightness, chroma, whiteOn, blackOn } }] where each metric
+ *   is { values: { colorName: value }, min, max, median, spread, outliers: [colorName] }
+ *   adjacent: { colorName: [{ from, to, deltaE2000, deltaEOK }] } between neighbouring steps
+ */
+export function analyzeHarmony(colors, { tolerance = {}, neutrals = [] } = {}) {
+  const limits = { ...DEFAULT_TOLERANCE, ...tolerance };
+  const names = Object.keys(colors);
+  if (names.length === 0) {
+    throw new Error('No color scales to analyze');
+  }
+  const steps = Object.keys(colors[names[0]]).map(Number).sort((a, b) => a - b);
+
+  const measured = Object.fromEntries(names.map(name => [
+    name,
+    Object.fromEntries(steps.map(step => [step, measure(colors[name][step])])),
+  ]));
+
+  let outlierCount = 0;
+  const stepReports = steps.map(step => {
+    const metrics = {};
+    for (const [metric, { tolerance: limit, skipNeutrals }] of Object.entries(HARMONY_METRICS)) {
+      const compared = skipNeutrals ? names.filter(name => !neutrals.includes(name)) : names;
+      const values = Object.fromEntries(compared.map(name => [name, measured[name][step][metric]]));
+      metrics[metric] = summarize(values, limits[limit]);
+      outlierCount += metrics[metric].outliers.length;
+    }
+    return { step, metrics };
+  });
+
+  const adjacent = Object.fromEntries(names.map(name => [
+    name,
+    steps.slice(1).map((step, index) => {
+      const from = new Color(colors[name][steps[index]]);
+      const to = new Color(colors[name][step]);
+      return {
+        from: steps[index],
+        to: step,
+        deltaE2000: from.deltaE(to, '2000'),
+        deltaEOK: from.deltaE(to, 'OK'),
+      };
+    }),
+  ]));
+
+  return { steps: stepReports, adjacent, outlierCount };
+}
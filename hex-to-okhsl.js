@@ -1,24 +1,53 @@
 #!/usr/bin/env node
 // hex-to-okhsl.js - Convert hex color to precise OKhsl values
+import path from 'path';
+import { fileURLToPath } from 'url';
 import Color from 'colorjs.io';
+import { CONTRAST_ALGORITHMS, CONTRAST_PAIRINGS, DEFAULT_CONTRAST_METHOD, measurePairing } from './contrast-algorithms.js';
 
-// Get hex from command line argument
-const hex = process.argv[2];
-
-if (!hex) {
-  console.error('❌ Error: Please provide a hex color value');
-  console.log('\nUsage:');
-  console.log('  node hex-to-okhsl.js #6D4AFF');
-  console.log('  node hex-to-okhsl.js 6D4AFF');
-  process.exit(1);
+/**
+ * Read `<hex> [--method name]` from the command line
+ */
+function parseArgs(args) {
+  let hex;
+  let method = DEFAULT_CONTRAST_METHOD;
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === '--method') {
+      method = args[++i];
+    } else if (args[i].startsWith('--method=')) {
+      method = args[i].slice('--method='.length);
+    } else {
+      hex = args[i];
+    }
+  }
+  return { hex, method };
 }
 
-// Normalize hex (add # if missing)
-const normalizedHex = hex.startsWith('#') ? hex : `#${hex}`;
+/**
+ * OKhsl config values and white/black contrast of a hex color
+ * @param {string} hex - Hex color, with or without #
+ * @param {string} [method] - Key of CONTRAST_ALGORITHMS (default: APCA)
+ * @returns {Object} - { hex, okhsl: { baseHue, baseSaturation, baseLightness }, oklch: { l, c, h },
+ *   method, contrast: { pairing: { label, value, formatted, passed } } } with OKhsl in
+ *   degrees/percent rounded like colors-v2.js, and passed listing the threshold labels met
+ */
+export function analyzeHex(hex, method = DEFAULT_CONTRAST_METHOD) {
+  const algorithm = CONTRAST_ALGORITHMS[method];
+  if (!algorithm) {
+    throw new Error(`Unknown contrast method "${method}", expected one of ${Object.keys(CONTRAST_ALGORITHMS).join(', ')}`);
+  }
+
+  // Normalize hex (add # if missing)
+  const normalizedHex = hex.startsWith('#') ? hex : `#${hex}`;
 
-try {
-  // Parse hex to sRGB, then convert to OKLCH
-  const color = new Color(normalizedHex);
+  let color;
+  try {
+    color = new Color(normalizedHex);
+  } catch (error) {
+    throw new Error(`Invalid hex color "${hex}"\n   ${error.message}`);
+  }
+
+  // Convert to OKLCH
   const oklch = color.to("oklch");
   let [L, C, H] = oklch.coords;
   
@@ -42,31 +71,68 @@ try {
   const sPercent = sNormalized * 100;
   const lPercent = l * 100;
   
-  // Calculate APCA contrast values
-  const white = new Color('#ffffff');
-  const black = new Color('#000000');
-  
-  // APCA: background.contrast(text, "APCA")
-  const whiteOnColor = Math.abs(color.contrast(white, "APCA"));  // color bg, white text
-  const blackOnColor = Math.abs(color.contrast(black, "APCA"));  // color bg, black text
-  const colorOnWhite = Math.abs(white.contrast(color, "APCA"));  // white bg, color text
-  const colorOnBlack = Math.abs(black.contrast(color, "APCA"));  // black bg, color text
+  // Contrast against white and black with the chosen algorithm, plus the thresholds each meets
+  const contrast = Object.fromEntries(Object.entries(CONTRAST_PAIRINGS).map(([pairing, { label }]) => {
+    const value = measurePairing(color, pairing, method);
+    const passed = algorithm.thresholds
+      .filter(threshold => threshold.pairing === pairing && value >= threshold.min)
+      .map(threshold => threshold.label);
+    return [pairing, { label, value, formatted: algorithm.format(value), passed }];
+  }));
+
+  return {
+    hex: normalizedHex.toUpperCase(),
+    okhsl: {
+      baseHue: Number(hDegrees.toFixed(2)),
+      baseSaturation: Number(sPercent.toFixed(2)),
+      baseLightness: Number(lPercent.toFixed(2)),
+    },
+    oklch: { l: L, c: C, h: H },
+    method,
+    contrast,
+  };
+}
+
+/**
+ * Print the OKhsl config values and white/black contrast of a hex color
+ * @param {string} hex - Hex color, with or without #
+ * @param {string} [method] - Key of CONTRAST_ALGORITHMS (default: APCA)
+ */
+export function inspectHex(hex, method = DEFAULT_CONTRAST_METHOD) {
+  const { hex: normalizedHex, okhsl, contrast } = analyzeHex(hex, method);
   
   // Display results
-  console.log(`\nInput: ${normalizedHex.toUpperCase()}`);
+  console.log(`\nInput: ${normalizedHex}`);
   console.log('\n------\n');
-  console.log(`baseHue: ${hDegrees.toFixed(2)}`);
-  console.log(`baseSaturation: ${sPercent.toFixed(2)}`);
-  console.log(`baseLightness: ${lPercent.toFixed(2)}`);
+  console.log(`baseHue: ${okhsl.baseHue.toFixed(2)}`);
+  console.log(`baseSaturation: ${okhsl.baseSaturation.toFixed(2)}`);
+  console.log(`baseLightness: ${okhsl.baseLightness.toFixed(2)}`);
   console.log('\n------\n');
-  console.log(`White on color: Lc ${whiteOnColor.toFixed(1)}`);
-  console.log(`Black on color: Lc ${blackOnColor.toFixed(1)}`);
-  console.log(`Color on white: Lc ${colorOnWhite.toFixed(1)}`);
-  console.log(`Color on black: Lc ${colorOnBlack.toFixed(1)}`);
-    console.log('');
+  console.log(`Contrast (${CONTRAST_ALGORITHMS[method].label}):`);
+  Object.values(contrast).forEach(({ label, formatted, passed }) => {
+    const name = label.charAt(0) + label.slice(1).toLowerCase();
+    console.log(`${name}: ${formatted}${passed.length > 0 ? `  ✓ ${passed.join(', ')}` : ''}`);
+  });
+  console.log('');
+}
+
+// Main execution (skipped when imported by cli.js)
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  const { hex, method } = parseArgs(process.argv.slice(2));
 
-} catch (error) {
-  console.error(`❌ Error: Invalid hex color "${hex}"`);
-  console.error(`   ${error.message}`);
-  process.exit(1);
+  if (!hex) {
+    console.error('❌ Error: Please provide a hex color value');
+    console.log('\nUsage:');
+    console.log('  node hex-to-okhsl.js #6D4AFF');
+    console.log('  node hex-to-okhsl.js 6D4AFF');
+    console.log(`  node hex-to-okhsl.js 6D4AFF --method WCAG21   (${Object.keys(CONTRAST_ALGORITHMS).join(', ')})`);
+    process.exit(1);
+  }
+
+  try {
+    inspectHex(hex, method);
+  } catch (error) {
+    console.error(`❌ Error: ${error.message}`);
+    process.exit(1);
+  }
 }
@@ -0,0 +1,92 @@
+// on-colors.js - Pick each step's foreground (on-color) from the palette itself
+import Color from 'colorjs.io';
+import { getContrastAlgorithm } from './contrast-algorithms.js';
+
+/**
+ * Last resort when no swatch reaches the target
+ */
+const EXTREMES = [
+  { name: 'white', hex: '#ffffff' },
+  { name: 'black', hex: '#000000' },
+];
+
+/**
+ * Chroma differences below this count as a tie (grays, near-identical tints)
+ */
+const CHROMA_PRECISION = 3;
+
+/**
+ * Measure every candidate as text on the background
+ */
+function measureCandidates(background, candidates, method) {
+  return candidates.map(candidate => {
+    const text = new Color(candidate.hex);
+    const chroma = text.to('oklch').coords[1] ?? 0;
+    return {
+      ...candidate,
+      // background.contrast(text), like contrast-matrix.js
+      contrast: Math.abs(background.contrast(text, method)),
+      chroma: Number(chroma.toFixed(CHROMA_PRECISION)),
+    };
+  });
+}
+
+/**
+ * Pick the foreground for one background
+ *
+ * Groups are tried in order (e.g. the background's own scale, then a neutral
+ * scale); the first group with a swatch reaching the target wins, and within
+ * it the most on-brand swatch: the highest OKLCH chroma, then the highest
+ * contrast. When nothing reaches the target, white or black is used,
+ * whichever contrasts more.
+ *
+ * @param {string} background - Background hex
+ * @param {Array<Array<{ name: string, hex: string }>>} groups - Candidates in order of preference
+ * @param {Object} [options]
+ * @param {string} [options.method] - Key of CONTRAST_ALGORITHMS (default: APCA)
+ * @param {number} [options.target] - Minimum contrast (default: the algorithm's dotTarget)
+ * @returns {Object} - { name, hex, contrast, passed } with name the swatch (red-50) or white/black
+ */
+export function pickOnColor(background, groups, { method = 'APCA', target } = {}) {
+  const minimum = target ?? getContrastAlgorithm(method).dotTarget;
+  const base = new Color(background);
+
+  for (const group of groups) {
+    const passing = measureCandidates(base, group, method).filter(({ contrast }) => contrast >= minimum);
+    if (passing.length > 0) {
+      const best = passing.reduce((a, b) => (b.chroma > a.chroma || (b.chroma === a.chroma && b.contrast > a.contrast) ? b : a));
+      return { name: best.name, hex: best.hex, contrast: best.contrast, passed: true };
+    }
+  }
+
+  const [best] = measureCandidates(base, EXTREMES, method).sort((a, b) => b.contrast - a.contrast);
+  return { name: best.name, hex: best.hex, contrast: best.contrast, passed: best.contrast >= minimum };
+}
+
+/**
+ * Pick the on-color of every step
+ *
+ * Each step looks in its own scale first, then in the fallback scale (a
+ * neutral, so the text stays readable when the scale's own steps are too
+ * close in lightness).
+ *
+ * @param {Object} scales - { colorName: { step: hex } }
+ * @param {Object} [options]
+ * @param {string} [options.method] - Key of CONTRAST_ALGORITHMS (default: APCA)
+ * @param {number} [options.target] - Minimum contrast (default: the algorithm's dotTarget)
+ * @param {string} [options.fallback] - Scale searched when a step's own scale has no match
+ * @returns {Object} - { colorName: { step: { name, hex, contrast, passed } } }
+ */
+export function generateOnColors(scales, { method, target, fallback } = {}) {
+  const toCandidates = (colorName) => Object.entries(scales[colorName])
+    .map(([step, hex]) => ({ name: `${colorName}-${step}`, hex }));
+  const fallbackCandidates = scales[fallback] ? toCandidates(fallback) : [];
+
+  return Object.fromEntries(Object.entries(scales).map(([colorName, shades]) => {
+    const groups = colorName === fallback ? [toCandidates(colorName)] : [toCandidates(colorName), fallbackCandidates];
+    return [colorName, Object.fromEntries(Object.entries(shades).map(([step, hex]) => [
+      step,
+      pickOnColor(hex, groups, { method, target }),
+    ]))];
+  }));
+}
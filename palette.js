@@ -0,0 +1,145 @@
+// palette.js - Shared pipeline from color configurations to hex/P3 scales
+// Used by build.js at build time and by the browser editor for live regeneration.
+
+import Color from 'colorjs.io';
+import { generateScale, resolveStepSet } from './scale-v2.js';
+import { mapToGamut, widenChroma } from './gamut-mapping.js';
+
+/**
+ * Converts OKLCH coordinates to hex color string
+ */
+export function oklchToHex({ L, C, H }) {
+  return new Color("oklch", [L / 100, C, H])
+           .to("srgb")
+           .toString({ format: "hex", alpha: false, collapse: false });
+}
+
+/**
+ * Widens unclipped OKLCH coordinates from sRGB to Display P3 (see widenChroma)
+ * and returns a CSS color() string
+ */
+export function oklchToP3(oklch, gamutMapping) {
+  const { L, C, H } = mapToGamut(widenChroma(oklch), { method: gamutMapping, space: "p3" });
+  return new Color("oklch", [L / 100, C, H])
+           .to("p3")
+           .toString({ precision: 4 });
+}
+
+/**
+ * Merge a default progression with a per-color override, keeping it unset
+ * (undefined) when neither defines one so generateScale can apply its fallback
+ */
+function mergeProgression(base, override) {
+  return base || override ? { ...base, ...override } : undefined;
+}
+
+/**
+ * Extract the scale name from a config name ("red-500" -> "red")
+ */
+export function getColorName(config) {
+  return config.name.split('-')[0];
+}
+
+/**
+ * Merge defaults with color-specific overrides into generateScale options
+ *
+ * @param {Object} config - One entry of colorConfigs
+ * @param {Object} defaults - Shared defaults from colors-v2.js
+ * @returns {Object} - Options for generateScale
+ */
+export function resolveScaleOptions(config, defaults) {
+  const {
+    name,
+    baseHue,
+    baseSaturation,
+    baseLightness,
+    ...overrides
+  } = config;
+
+  return {
+    baseHue,
+    baseSaturation,
+    baseLightness,
+    // One step set for the whole palette, so it isn't overridable per color
+    ...resolveStepSet(defaults.steps, defaults.baseStep),
+    startL: overrides.startL ?? defaults.startL,
+    endL: overrides.endL ?? defaults.endL,
+    hueProgression: { ...defaults.hueProgression, ...overrides.hueProgression },
+    saturationProgression: { ...defaults.saturationProgression, ...overrides.saturationProgression },
+    lightnessProgression: { ...defaults.lightnessProgression, ...overrides.lightnessProgression },
+    contrastTargets: { ...defaults.contrastTargets, ...overrides.contrastTargets },
+    gamutMapping: overrides.gamutMapping ?? defaults.gamutMapping,
+    interpolation: overrides.interpolation ?? defaults.interpolation,
+    dark: {
+      ...defaults.dark,
+      ...overrides.dark,
+      hueProgression: mergeProgression(defaults.dark?.hueProgression, overrides.dark?.hueProgression),
+      saturationProgression: mergeProgression(defaults.dark?.saturationProgression, overrides.dark?.saturationProgression),
+      lightnessProgression: mergeProgression(defaults.dark?.lightnessProgression, overrides.dark?.lightnessProgression),
+      contrastTargets: mergeProgression(defaults.dark?.contrastTargets, overrides.dark?.contrastTargets),
+    },
+  };
+}
+
+/**
+ * Format a config value as a JS literal in the colors-v2.js style
+ */
+function formatValue(value, decimals) {
+  if (typeof value === 'number') return String(Number(value.toFixed(decimals)));
+  if (typeof value === 'string') return JSON.stringify(value);
+  if (Array.isArray(value)) return `[${value.map(item => formatValue(item, decimals)).join(', ')}]`;
+  const entries = Object.entries(value).map(([key, item]) => `${key}: ${formatValue(item, decimals)}`);
+  return `{ ${entries.join(', ')} }`;
+}
+
+/**
+ * Format a color config as a colorConfigs entry ready to paste into colors-v2.js
+ * @param {Object} config - Color configuration
+ * @param {number} decimals - Decimal places for numbers (colors-v2.js uses 2)
+ * @returns {string}
+ */
+export function formatConfig(config, decimals = 2) {
+  const lines = Object.entries(config)
+    .filter(([, value]) => value !== undefined)
+    .map(([key, value]) => `  ${key}: ${formatValue(value, decimals)},`);
+  return `{\n${lines.join('\n')}\n},`;
+}
+
+/**
+ * Map a list of per-step values onto { step: value }
+ */
+function byStep(values, steps) {
+  return Object.fromEntries(values.map((value, index) => [steps[index], value]));
+}
+
+/**
+ * Generate the light and dark scales for one color configuration
+ *
+ * @param {Object} config - One entry of colorConfigs
+ * @param {Object} defaults - Shared defaults from colors-v2.js
+ * @returns {Object} - { name, options, light, dark, hex, p3, darkHex }
+ *   options holds the resolved steps/baseStep, light/dark are the OKLCH arrays
+ *   from generateScale, hex/darkHex are { step: hex },
+ *   p3 is { step: { srgb, p3 } }
+ */
+export function generateColor(config, defaults) {
+  const options = resolveScaleOptions(config, defaults);
+
+  const light = generateScale(options);
+  const dark = generateScale({ ...options, mode: 'dark' });
+  const lightHex = light.map(oklchToHex);
+
+  return {
+    name: getColorName(config),
+    options,
+    light,
+    dark,
+    hex: byStep(lightHex, options.steps),
+    // Wide-gamut version: the unclipped OKLCH widened into P3, sRGB hex as fallback
+    p3: byStep(light.map((color, index) => ({
+      srgb: lightHex[index],
+      p3: oklchToP3(color.unmapped, options.gamutMapping),
+    })), options.steps),
+    darkHex: byStep(dark.map(oklchToHex), options.steps),
+  };
+}
@@ -0,0 +1,218 @@
+// progression-chart.js - Plot the OKhsl inputs and OKLCH outputs of every scale across its steps
+
+const SVG_NS = "http://www.w3.org/2000/svg";
+
+// Chart size (viewBox units)
+const CHART_WIDTH = 372;
+const CHART_HEIGHT = 160;
+const CHART_PADDING = { top: 12, right: 12, bottom: 22, left: 40 };
+
+/**
+ * Plotted channels. `control` names the progression whose control points are
+ * marked on the chart, `unmapped` reads the value before gamut mapping.
+ */
+const METRICS = [
+  { label: 'OKhsl lightness', control: 'lightness', value: color => color.okhsl.L },
+  { label: 'OKhsl saturation', control: 'saturation', value: color => color.okhsl.S },
+  { label: 'OKhsl hue', control: 'hue', hue: true, value: color => color.okhsl.H },
+  { label: 'OKLCH lightness', control: 'lightness', value: color => color.L, unmapped: color => color.unmapped.L },
+  { label: 'OKLCH chroma', control: 'saturation', precision: 3, value: color => color.C, unmapped: color => color.unmapped.C },
+  { label: 'OKLCH hue', control: 'hue', hue: true, value: color => color.H, unmapped: color => color.unmapped.H },
+];
+
+/**
+ * Create an SVG element with attributes
+ */
+function svgElement(tag, attributes = {}) {
+  const element = document.createElementNS(SVG_NS, tag);
+  Object.entries(attributes).forEach(([name, value]) => element.setAttribute(name, value));
+  return element;
+}
+
+/**
+ * Shift hues by whole turns so neighbouring steps never jump across 0/360
+ */
+function unwrapHues(values) {
+  return values.reduce((unwrapped, value, index) => {
+    if (index === 0) return [value];
+    const previous = unwrapped[index - 1];
+    return [...unwrapped, value + Math.round((previous - value) / 360) * 360];
+  }, []);
+}
+
+/**
+ * Collect the plotted points of one scale for one metric
+ * @returns {Array<Object>} - [{ step, value, unmapped, explicit, clipped }]
+ */
+function getSeries(scale, metric) {
+  const read = values => (metric.hue ? unwrapHues(values) : values);
+  const values = read(scale.map(metric.value));
+  const unmapped = metric.unmapped ? read(scale.map(metric.unmapped)) : values;
+
+  return scale.map((color, index) => ({
+    step: color.step,
+    value: values[index],
+    unmapped: unmapped[index],
+    explicit: color.explicit[metric.control],
+    clipped: color.deltaE > 0,
+  }));
+}
+
+/**
+ * Value range covering every point (including unmapped ones), padded by 5%
+ */
+function getRange(seriesList) {
+  const values = seriesList.flatMap(series => series.flatMap(point => [point.value, point.unmapped]));
+  const min = Math.min(...values);
+  const max = Math.max(...values);
+  const padding = max - min > 0 ? (max - min) * 0.05 : 1;
+  return { min: min - padding, max: max + padding };
+}
+
+/**
+ * Draw one metric for the given scales
+ * @param {Object} metric - Entry of METRICS
+ * @param {Array<Object>} scales - [{ name, color, scale }] where color strokes the line
+ * @param {Object} stepSet - { steps, baseStep } shared by the scales
+ * @returns {HTMLElement}
+ */
+function renderChart(metric, scales, { steps, baseStep }) {
+  const seriesList = scales.map(({ scale }) => getSeries(scale, metric));
+  const range = getRange(seriesList);
+
+  const plotWidth = CHART_WIDTH - CHART_PADDING.left - CHART_PADDING.right;
+  const plotHeight = CHART_HEIGHT - CHART_PADDING.top - CHART_PADDING.bottom;
+  const x = index => CHART_PADDING.left + index * plotWidth / (steps.length - 1);
+  const y = value => CHART_PADDING.top + (range.max - value) / (range.max - range.min) * plotHeight;
+  const format = value => value.toFixed(metric.precision ?? 1);
+
+  const section = document.createElement('div');
+  section.className = 'progression-chart';
+  const title = document.createElement('h4');
+  title.textContent = metric.label;
+  const svg = svgElement('svg', { viewBox: `0 0 ${CHART_WIDTH} ${CHART_HEIGHT}` });
+  section.append(title, svg);
+
+  // Step columns and labels
+  steps.forEach((step, index) => {
+    svg.appendChild(svgElement('line', {
+      class: step === baseStep ? 'editor-axis editor-axis-base' : 'editor-axis',
+      x1: x(index), x2: x(index),
+      y1: CHART_PADDING.top, y2: CHART_HEIGHT - CHART_PADDING.bottom,
+    }));
+    const label = svgElement('text', { class: 'progression-label', x: x(index), y: CHART_HEIGHT - 6, 'text-anchor': 'middle' });
+    label.textContent = step;
+    svg.appendChild(label);
+  });
+
+  // Value labels at the top and bottom of the range
+  [range.max, range.min].forEach(value => {
+    const label = svgElement('text', { class: 'progression-label', x: CHART_PADDING.left - 6, y: y(value) + 3, 'text-anchor': 'end' });
+    label.textContent = format(value);
+    svg.appendChild(label);
+  });
+
+  seriesList.forEach((series, seriesIndex) => {
+    const { name, color } = scales[seriesIndex];
+    const points = series.map((point, index) => ({ ...point, x: x(index) }));
+
+    // Where gamut mapping moved a step: dashed link from the unmapped value
+    points.filter(point => point.clipped && point.unmapped !== point.value).forEach(point => {
+      svg.appendChild(svgElement('line', {
+        class: 'progression-clip-link',
+        x1: point.x, x2: point.x, y1: y(point.unmapped), y2: y(point.value),
+      }));
+      const ghost = svgElement('circle', { class: 'progression-point-unmapped', cx: point.x, cy: y(point.unmapped), r: 3.5 });
+      const ghostTitle = svgElement('title');
+      ghostTitle.textContent = `${name}-${point.step} before gamut mapping: ${format(point.unmapped)}`;
+      ghost.appendChild(ghostTitle);
+      svg.appendChild(ghost);
+    });
+
+    svg.appendChild(svgElement('polyline', {
+      class: 'progression-curve',
+      stroke: color,
+      points: points.map(point => `${point.x},${y(point.value)}`).join(' '),
+    }));
+
+    points.forEach(point => {
+      const classes = ['progression-point'];
+      if (!point.explicit) classes.push('progression-point-interpolated');
+      if (point.clipped) classes.push('progression-point-clipped');
+
+      // Control points are filled with the scale color, interpolated ones outlined
+      const circle = svgElement('circle', {
+        class: classes.join(' '),
+        cx: point.x,
+        cy: y(point.value),
+        r: point.explicit ? 3.5 : 2.5,
+        [point.explicit ? 'fill' : 'stroke']: color,
+      });
+
+      const pointTitle = svgElement('title');
+      const source = point.explicit ? 'control point' : 'interpolated';
+      pointTitle.textContent = `${name}-${point.step}: ${format(point.value)} (${source}${point.clipped ? ', gamut mapped' : ''})`;
+      circle.appendChild(pointTitle);
+      svg.appendChild(circle);
+    });
+  });
+
+  return section;
+}
+
+/**
+ * Initialize the progression chart panel
+ * @param {HTMLElement} panel - Container the charts render into
+ * @returns {Function} - update(results, mode) redraws the charts for a list of
+ *   generateColor results, using their light or dark scales
+ */
+export function initProgressionCharts(panel) {
+  let results = [];
+  let mode = 'light';
+
+  // Color picker: one scale, or every scale overlaid to compare neighbours
+  const select = document.createElement('select');
+  select.className = 'version-selector';
+  const selectWrapper = document.createElement('div');
+  selectWrapper.className = 'select-wrapper';
+  selectWrapper.appendChild(select);
+
+  const chartsContainer = document.createElement('div');
+  chartsContainer.className = 'progression-charts';
+
+  const legend = document.createElement('p');
+  legend.className = 'editor-hint';
+  legend.textContent = 'Filled points are progression control points, hollow points are interpolated. Dashed points show where a step sat before gamut mapping.';
+
+  panel.append(selectWrapper, legend, chartsContainer);
+
+  function renderOptions() {
+    const current = select.value || 'all';
+    select.replaceChildren();
+    ['all', ...results.map(result => result.name)].forEach(name => {
+      const option = document.createElement('option');
+      option.value = name;
+      option.textContent = name === 'all' ? 'All colors' : name;
+      select.appendChild(option);
+    });
+    select.value = results.some(result => result.name === current) ? current : 'all';
+  }
+
+  function renderCharts() {
+    if (results.length === 0) return;
+    const { steps, baseStep } = results[0].options;
+    const scales = results
+      .filter(result => select.value === 'all' || result.name === select.value)
+      .map(result => ({ name: result.name, color: result.hex[baseStep], scale: result[mode] }));
+    chartsContainer.replaceChildren(...METRICS.map(metric => renderChart(metric, scales, { steps, baseStep })));
+  }
+
+  select.addEventListener('change', renderCharts);
+
+  return function update(nextResults, nextMode) {
+    results = nextResults;
+    mode = nextMode;
+    renderOptions();
+    renderCharts();
+  };
+}
@@ -0,0 +1,94 @@
+// scale-diff.js - Compare two builds of the color scales swatch by swatch
+import Color from 'colorjs.io';
+import { CONTRAST_PAIRINGS, DEFAULT_CONTRAST_METHOD, getContrastAlgorithm, measurePairing } from './contrast-algorithms.js';
+
+/**
+ * Contrast thresholds a swatch passes, as readable labels ("Lc60 White on Color")
+ */
+function passingThresholds(hex, method) {
+  const color = new Color(hex);
+  return getContrastAlgorithm(method).thresholds
+    .filter(({ min, pairing }) => measurePairing(color, pairing, method) >= min)
+    .map(({ label, pairing }) => `${label} ${CONTRAST_PAIRINGS[pairing].label}`);
+}
+
+/**
+ * Compare two sets of scales
+ *
+ * Swatches whose hex changed get their ΔE2000 (ΔEOK too) and the contrast
+ * thresholds of `method` (see contrast-algorithms.js) they gained or lost.
+ *
+ * @param {Object} previous - { colorName: { step: hex } } from the earlier build
+ * @param {Object} current - { colorName: { step: hex } } from this build
+ * @param {Object} [options]
+ * @param {string} [options.method] - Contrast method for pass/fail changes (default APCA)
+ * @throws {Error} For an unknown method, even when no swatch changed
+ * @returns {Object} - { changed: [{ color, step, from, to, deltaE, deltaEOK, gained, lost }],
+ *   added: [name], removed: [name], unchanged, maxDeltaE } where added/removed list whole
+ *   colors or "color-step" swatches, unchanged counts swatches with the same hex and
+ *   changed is sorted by ΔE, largest first
+ */
+export function diffScales(previous, current, { method = DEFAULT_CONTRAST_METHOD } = {}) {
+  // Thresholds are only measured for changed swatches, so check the method up front
+  getContrastAlgorithm(method);
+  const changed = [];
+  const added = [];
+  const removed = [];
+  let unchanged = 0;
+
+  for (const [color, shades] of Object.entries(current)) {
+    if (!previous[color]) {
+      added.push(color);
+      continue;
+    }
+    for (const [step, hex] of Object.entries(shades)) {
+      const before = previous[color][step];
+      if (before === undefined) {
+        added.push(`${color}-${step}`);
+      } else if (before.toLowerCase() !== hex.toLowerCase()) {
+        const from = new Color(before);
+        const to = new Color(hex);
+        const passedBefore = passingThresholds(before, method);
+        const passedNow = passingThresholds(hex, method);
+        changed.push({
+          color,
+          step: Number(step),
+          from: before,
+          to: hex,
+          deltaE: from.deltaE(to, '2000'),
+          deltaEOK: from.deltaE(to, 'OK'),
+          gained: passedNow.filter(label => !passedBefore.includes(label)),
+          lost: passedBefore.filter(label => !passedNow.includes(label)),
+        });
+      } else {
+        unchanged++;
+      }
+    }
+    for (const step of Object.keys(previous[color])) {
+      if (shades[step] === undefined) removed.push(`${color}-${step}`);
+    }
+  }
+  for (const color of Object.keys(previous)) {
+    if (!current[color]) removed.push(color);
+  }
+
+  changed.sort((a, b) => b.deltaE - a.deltaE);
+  const maxDeltaE = changed.length > 0 ? changed[0].deltaE : 0;
+
+  return { changed, added, removed, unchanged, maxDeltaE };
+}
+
+/**
+ * Find the changes a CI check should fail on
+ *
+ * @param {Object} diff - diffScales() result
+ * @param {Object} options
+ * @param {number} options.maxDeltaE - Largest ΔE2000 a swatch may move
+ * @returns {Object} - { exceeded: swatches that moved more than maxDeltaE,
+ *   lost: swatches that no longer pass a contrast threshold, failed }
+ */
+export function findRegressions({ changed }, { maxDeltaE }) {
+  const exceeded = changed.filter(({ deltaE }) => deltaE > maxDeltaE);
+  const lost = changed.filter(({ lost }) => lost.length > 0);
+  return { exceeded, lost, failed: exceeded.length > 0 || lost.length > 0 };
+}
@@ -0,0 +1,80 @@
+// scale-metadata.js - Per-step color and contrast metadata for the rich JSON schema
+import { CONTRAST_PAIRINGS, measurePairing } from './contrast-algorithms.js';
+import { computeContrastDotColor } from './colors-utilities.js';
+
+/**
+ * JSON schemas build.js can write for color-scale-v2.json (and the dark JSON)
+ * - hex: { colorName: { step: hex } } (default, backward compatible)
+ * - rich: { colorName: { step: metadata } }, see describeScale()
+ */
+export const JSON_SCHEMAS = ['hex', 'rich'];
+
+function round(value, decimals) {
+  return Number(value.toFixed(decimals));
+}
+
+/**
+ * Describe every step of a generated scale
+ *
+ * @param {Array<Object>} scale - generateColor() light or dark entries ({ step, L, C, H, deltaE, okhsl })
+ * @param {Object} hex - { step: hex } for the same scale
+ * @param {Object} [onColors] - { step: { name, hex } } on-colors of the scale (see on-colors.js)
+ * @returns {Object} - { step: { hex, oklch: { l, c, h }, okhsl: { h, s, l },
+ *   contrast: { apca: { whiteOn, blackOn, onWhite, onBlack }, wcag: { white, black } },
+ *   foreground, onColor, clipped } } where APCA is absolute Lc, WCAG the 2.x ratio, foreground
+ *   the on-color's hex (without on-colors, the white or black computeContrastDotColor() picks),
+ *   onColor the swatch it came from (red-50, white, black) and clipped whether gamut mapping
+ *   had to move the step
+ */
+export function describeScale(scale, hex, onColors) {
+  return Object.fromEntries(scale.map(({ step, L, C, H, deltaE, okhsl }) => {
+    const stepHex = hex[step];
+    const apca = Object.fromEntries(Object.keys(CONTRAST_PAIRINGS).map(pairing => [
+      pairing,
+      round(measurePairing(stepHex, pairing, 'APCA'), 1),
+    ]));
+
+    return [step, {
+      hex: stepHex,
+      oklch: { l: round(L, 2), c: round(C, 4), h: round(H, 2) },
+      okhsl: { h: round(okhsl.H, 2), s: round(okhsl.S, 2), l: round(okhsl.L, 2) },
+      contrast: {
+        apca,
+        // WCAG 2.x is symmetric: text on swatch and swatch on text are the same ratio
+        wcag: {
+          white: round(measurePairing(stepHex, 'whiteOn', 'WCAG21'), 2),
+          black: round(measurePairing(stepHex, 'blackOn', 'WCAG21'), 2),
+        },
+      },
+      foreground: onColors?.[step].hex ?? computeContrastDotColor(stepHex),
+      ...(onColors && { onColor: onColors[step].name }),
+      clipped: deltaE > 0,
+    }];
+  }));
+}
+
+/**
+ * Reduce a scale JSON in either schema to { colorName: { step: hex } }
+ * @param {Object} data - Parsed color-scale-v2.json (or the dark JSON)
+ * @returns {Object}
+ * @throws {Error} When the JSON isn't a scale file (a step without a hex string)
+ */
+export function toHexMap(data) {
+  const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+  if (!isObject(data)) {
+    throw new Error('Not a scale file, expected { colorName: { step: hex } }');
+  }
+
+  return Object.fromEntries(Object.entries(data).map(([colorName, shades]) => {
+    if (!isObject(shades)) {
+      throw new Error(`Not a scale file, "${colorName}" should map steps to hex colors`);
+    }
+    return [colorName, Object.fromEntries(Object.entries(shades).map(([step, value]) => {
+      const hex = isObject(value) ? value.hex : value;
+      if (typeof hex !== 'string') {
+        throw new Error(`Not a scale file, ${colorName}-${step} is ${JSON.stringify(value)}, expected a hex string or { hex }`);
+      }
+      return [step, hex];
+    }))];
+  }));
+}
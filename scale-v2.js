@@ -1,29 +1,61 @@
 // scale-v2.js - Simplified progression array system for color scale generation
 
 import Color from 'colorjs.io';
+import { mapToGamut } from './gamut-mapping.js';
 
 /**
  * Note: At extreme lightness values (very dark < 10% or very light > 95%) 
- * with high saturation, colors may be outside sRGB gamut and will be clipped
- * during hex conversion. This causes minor drift (typically 1-3%) in the final
- * OKhsl values compared to the progression values. This is an unavoidable 
- * limitation of the sRGB color space.
+ * with high saturation, colors may be outside sRGB gamut. generateScale maps
+ * them back with the `gamutMapping` strategy (see gamut-mapping.js) and
+ * reports how far each step moved as ΔEOK. Plain clipping causes minor drift
+ * (typically 1-3%) in hue and lightness; chroma reduction keeps both constant.
  */
 
 /**
- * All 13 steps in the color scale
+ * Default step set: 13 steps from 50 to 950
  */
-const STEPS = [50, 100, 150, 200, 300, 400, 500, 600, 700, 800, 850, 900, 950];
+export const STEPS = [50, 100, 150, 200, 300, 400, 500, 600, 700, 800, 850, 900, 950];
 
 /**
- * Available tint steps (before base 500)
+ * Default base step, used when it is part of the step set
  */
-const TINT_STEPS = [50, 100, 150, 200, 300, 400];
+export const BASE_STEP = 500;
 
 /**
- * Available shade steps (after base 500)
+ * Validate a step set and pick its base step
+ * 
+ * The first and last steps are the lightness anchors (startL/endL), so the
+ * base must sit strictly between them. Without an explicit base step, 500 is
+ * used when present, otherwise the middle step.
+ * 
+ * @param {Array<number>} steps - Step numbers, e.g. [1, 2, ..., 12] or [0, 100, ..., 1000]
+ * @param {number} [baseStep] - Step that holds the base color
+ * @returns {Object} - { steps, baseStep } with steps sorted ascending
+ */
+export function resolveStepSet(steps = STEPS, baseStep) {
+  if (!Array.isArray(steps) || steps.length < 3 || !steps.every(Number.isFinite)) {
+    throw new Error(`Invalid step set [${steps}], expected at least 3 numbers`);
+  }
+  const sorted = [...steps].sort((a, b) => a - b);
+  if (new Set(sorted).size !== sorted.length) {
+    throw new Error(`Invalid step set [${steps.join(', ')}], steps must be unique`);
+  }
+
+  const base = baseStep ?? (sorted.includes(BASE_STEP) ? BASE_STEP : sorted[Math.floor(sorted.length / 2)]);
+  if (!sorted.slice(1, -1).includes(base)) {
+    throw new Error(`Base step ${base} must be one of the inner steps ${sorted.slice(1, -1).join(', ')}`);
+  }
+
+  return { steps: sorted, baseStep: base };
+}
+
+/**
+ * Default warning handler of generateScale: print the message only
+ * @param {string} message
  */
-const SHADE_STEPS = [600, 700, 800, 850, 900, 950];
+function printWarning(message) {
+  console.warn(message);
+}
 
 /**
  * Map progression values to specific steps
@@ -52,13 +84,115 @@ function mapValuesToSteps(values, availableSteps) {
 }
 
 /**
- * Simple linear interpolation between control points
+ * Easing curves as CSS cubic-bezier control points [x1, y1, x2, y2]
+ */
+const EASINGS = {
+  'ease': [0.25, 0.1, 0.25, 1],
+  'ease-in': [0.42, 0, 1, 1],
+  'ease-out': [0, 0, 0.58, 1],
+  'ease-in-out': [0.42, 0, 0.58, 1],
+};
+
+/**
+ * Interpolation methods besides easing curves (see interpolateValue)
+ */
+export const INTERPOLATION_METHODS = ['linear', 'monotone', 'catmull-rom', ...Object.keys(EASINGS)];
+
+/**
+ * Build an easing function from cubic-bezier control points
+ * 
+ * Solves x(u) = t for the curve parameter u by bisection (x is monotonic
+ * because x1 and x2 are within 0-1), then returns y(u).
+ * 
+ * @param {Array} points - [x1, y1, x2, y2]
+ * @returns {Function} - t (0-1) -> eased progress
+ */
+function cubicBezier([x1, y1, x2, y2]) {
+  const bezier = (u, p1, p2) => 3 * (1 - u) ** 2 * u * p1 + 3 * (1 - u) * u ** 2 * p2 + u ** 3;
+
+  return (t) => {
+    let low = 0;
+    let high = 1;
+    for (let i = 0; i < 32; i++) {
+      const mid = (low + high) / 2;
+      if (bezier(mid, x1, x2) < t) {
+        low = mid;
+      } else {
+        high = mid;
+      }
+    }
+    return bezier((low + high) / 2, y1, y2);
+  };
+}
+
+/**
+ * Tangents at each control point for cubic Hermite interpolation
+ * 
+ * - catmull-rom: slope between the two neighbouring control points
+ *   (one-sided at the ends)
+ * - monotone: Fritsch–Carlson, which starts from averaged secants and then
+ *   limits the tangents so no segment overshoots its control points
+ * 
+ * With `monotonic`, Catmull-Rom tangents go through the same limiter, so the
+ * curve never reverses between control points.
+ * 
+ * @param {Array} xs - Sorted control point steps
+ * @param {Array} ys - Control point values
+ * @param {string} method - 'monotone' or 'catmull-rom'
+ * @param {boolean} monotonic - Limit tangents to keep every segment monotonic
+ * @returns {Array} - Tangent (dy/dx) per control point
+ */
+function getTangents(xs, ys, method, monotonic) {
+  const n = xs.length;
+  const secants = [];
+  for (let i = 0; i < n - 1; i++) {
+    secants.push((ys[i + 1] - ys[i]) / (xs[i + 1] - xs[i]));
+  }
+
+  const tangents = xs.map((x, i) => {
+    if (i === 0) return secants[0];
+    if (i === n - 1) return secants[n - 2];
+    if (method === 'catmull-rom') {
+      return (ys[i + 1] - ys[i - 1]) / (xs[i + 1] - xs[i - 1]);
+    }
+    // Fritsch–Carlson: flat at local extrema, averaged secants elsewhere
+    return secants[i - 1] * secants[i] <= 0 ? 0 : (secants[i - 1] + secants[i]) / 2;
+  });
+
+  if (method === 'monotone' || monotonic) {
+    for (let i = 0; i < n - 1; i++) {
+      if (secants[i] === 0) {
+        tangents[i] = 0;
+        tangents[i + 1] = 0;
+        continue;
+      }
+      // Tangents pointing against the segment would reverse it
+      const alpha = Math.max(0, tangents[i] / secants[i]);
+      const beta = Math.max(0, tangents[i + 1] / secants[i]);
+      const scale = alpha ** 2 + beta ** 2 > 9 ? 3 / Math.sqrt(alpha ** 2 + beta ** 2) : 1;
+      tangents[i] = scale * alpha * secants[i];
+      tangents[i + 1] = scale * beta * secants[i];
+    }
+  }
+
+  return tangents;
+}
+
+/**
+ * Interpolate between control points
+ * 
+ * Every method passes exactly through the control points and holds the
+ * nearest value outside them; they differ only between two control points.
  * 
  * @param {number} step - Current step to interpolate
- * @param {Object} controlPoints - Mapping of step -> value (includes base at 500)
+ * @param {Object} controlPoints - Mapping of step -> value (includes the base step)
+ * @param {string|Array} interpolation - 'linear', 'monotone', 'catmull-rom',
+ *   an easing name ('ease', 'ease-in', 'ease-out', 'ease-in-out') or
+ *   cubic-bezier control points [x1, y1, x2, y2]
+ * @param {boolean} monotonic - Never reverse direction between two control points
  * @returns {number} - Interpolated value
  */
-function interpolateValue(step, controlPoints) {
+function interpolateValue(step, controlPoints, interpolation = 'linear', monotonic = false) {
   // If we have an exact control point, return it
   if (controlPoints[step] !== undefined) {
     return controlPoints[step];
@@ -84,14 +218,298 @@ function interpolateValue(step, controlPoints) {
     return step < steps[0] ? controlPoints[steps[0]] : controlPoints[steps[steps.length - 1]];
   }
 
-  // Linear interpolation between the two points
-  const t = (step - steps[beforeIdx]) / (steps[afterIdx] - steps[beforeIdx]);
+  const width = steps[afterIdx] - steps[beforeIdx];
+  const t = (step - steps[beforeIdx]) / width;
   const valueBefore = controlPoints[steps[beforeIdx]];
   const valueAfter = controlPoints[steps[afterIdx]];
 
+  // Easing curve between the two points
+  const easing = Array.isArray(interpolation) ? interpolation : EASINGS[interpolation];
+  if (easing) {
+    return valueBefore + (valueAfter - valueBefore) * cubicBezier(easing)(t);
+  }
+
+  // Cubic Hermite spline through all control points
+  if (interpolation === 'monotone' || interpolation === 'catmull-rom') {
+    const values = steps.map(s => controlPoints[s]);
+    const tangents = getTangents(steps, values, interpolation, monotonic);
+    const h00 = 2 * t ** 3 - 3 * t ** 2 + 1;
+    const h10 = t ** 3 - 2 * t ** 2 + t;
+    const h01 = -2 * t ** 3 + 3 * t ** 2;
+    const h11 = t ** 3 - t ** 2;
+    return h00 * valueBefore + h10 * width * tangents[beforeIdx]
+      + h01 * valueAfter + h11 * width * tangents[afterIdx];
+  }
+
+  // Linear interpolation between the two points
   return valueBefore + (valueAfter - valueBefore) * t;
 }
 
+/**
+ * Resolve the `interpolation` option into one method per progression
+ * 
+ * Accepts a single method for all three progressions or
+ * { hue, saturation, lightness } (missing entries are linear). Lightness must
+ * never reverse between control points, so cubic-bezier curves that overshoot
+ * (y outside 0-1) are clamped for it.
+ * 
+ * @param {string|Array|Object} interpolation - Method, or methods per progression
+ * @returns {Object} - { hue, saturation, lightness }
+ */
+function resolveInterpolation(interpolation = 'linear', warn = printWarning) {
+  const isPerProgression = typeof interpolation === 'object' && !Array.isArray(interpolation);
+  const methods = isPerProgression
+    ? { hue: 'linear', saturation: 'linear', lightness: 'linear', ...interpolation }
+    : { hue: interpolation, saturation: interpolation, lightness: interpolation };
+
+  for (const [progression, method] of Object.entries(methods)) {
+    if (Array.isArray(method)) {
+      const [x1, y1, x2, y2] = method;
+      if (method.length !== 4 || !method.every(Number.isFinite) || x1 < 0 || x1 > 1 || x2 < 0 || x2 > 1) {
+        throw new Error(`Invalid cubic-bezier [${method.join(', ')}] for ${progression}, expected [x1, y1, x2, y2] with x1 and x2 in 0-1`);
+      }
+      if (progression === 'lightness' && [y1, y2].some(y => y < 0 || y > 1)) {
+        warn(`Cubic-bezier [${method.join(', ')}] overshoots, clamping y1/y2 to 0-1 to keep lightness monotonic`, { type: 'bezier', method });
+        methods[progression] = [x1, Math.min(Math.max(y1, 0), 1), x2, Math.min(Math.max(y2, 0), 1)];
+      }
+    } else if (!INTERPOLATION_METHODS.includes(method)) {
+      throw new Error(`Unknown interpolation "${method}" for ${progression}, expected one of ${INTERPOLATION_METHODS.join(', ')} or [x1, y1, x2, y2]`);
+    }
+  }
+
+  return methods;
+}
+
+/**
+ * APCA contrast targets a step can declare, and which way lightness must move
+ * to raise the contrast ("down" = darker, "up" = lighter)
+ *
+ * - whiteOn: white text on the color
+ * - blackOn: black text on the color
+ * - onWhite: the color as text on a white background
+ * - onBlack: the color as text on a black background
+ */
+const CONTRAST_TARGETS = {
+  whiteOn: { direction: 'down', contrast: color => color.contrast(new Color('#ffffff'), 'APCA') },
+  blackOn: { direction: 'up', contrast: color => color.contrast(new Color('#000000'), 'APCA') },
+  onWhite: { direction: 'down', contrast: color => new Color('#ffffff').contrast(color, 'APCA') },
+  onBlack: { direction: 'up', contrast: color => new Color('#000000').contrast(color, 'APCA') },
+};
+
+/**
+ * Convert an OKhsl color to gamut-mapped OKLCH
+ *
+ * @param {number} H - Hue in degrees
+ * @param {number} S - Saturation (0-1)
+ * @param {number} L - Lightness (0-1)
+ * @param {string} gamutMapping - Key of GAMUT_MAPPING_METHODS
+ * @returns {Object} - { L, C, H, deltaE, unmapped } with L in percentage (0-100)
+ */
+function okhslToMappedOklch(H, S, L, gamutMapping) {
+  const oklch = new Color("okhsl", [H, S, L]).to("oklch");
+  const unmapped = {
+    L: oklch.coords[0] * 100,  // Convert 0-1 to 0-100
+    C: oklch.coords[1],
+    H: oklch.coords[2] ?? 0    // Hue is undefined for achromatic colors
+  };
+  return { ...mapToGamut(unmapped, { method: gamutMapping }), unmapped };
+}
+
+/**
+ * Measure the APCA contrast of an OKhsl color after it has been gamut mapped
+ * and rounded to hex, so solved steps still meet their target once written
+ * to the JSON
+ *
+ * @param {string} target - Key of CONTRAST_TARGETS
+ * @param {number} H - Hue in degrees
+ * @param {number} S - Saturation (0-1)
+ * @param {number} L - Lightness in percentage (0-100)
+ * @param {string} gamutMapping - Key of GAMUT_MAPPING_METHODS
+ * @returns {number} - Absolute APCA Lc
+ */
+function measureContrast(target, H, S, L, gamutMapping) {
+  const mapped = okhslToMappedOklch(H, S, L / 100, gamutMapping);
+  const hex = new Color("oklch", [mapped.L / 100, mapped.C, mapped.H])
+    .to("srgb")
+    .toString({ format: "hex", collapse: false });
+  return Math.abs(CONTRAST_TARGETS[target].contrast(new Color(hex)));
+}
+
+/**
+ * Find the lightness boundary at which a step just meets an APCA target
+ * 
+ * Contrast is monotonic in lightness for a fixed hue and saturation, so a
+ * bisection over 0-100 converges on the lightest (or darkest) passing value.
+ * 
+ * @param {string} target - Key of CONTRAST_TARGETS
+ * @param {number} Lc - Required APCA Lc
+ * @param {number} H - Hue in degrees
+ * @param {number} S - Saturation (0-1)
+ * @param {string} gamutMapping - Key of GAMUT_MAPPING_METHODS
+ * @returns {number|null} - Boundary lightness (0-100), or null if unreachable
+ */
+function solveLightnessBoundary(target, Lc, H, S, gamutMapping) {
+  const darker = CONTRAST_TARGETS[target].direction === 'down';
+
+  // pass = lightness known to meet the target, fail = known to miss it
+  let pass = darker ? 0 : 100;
+  let fail = darker ? 100 : 0;
+
+  if (measureContrast(target, H, S, pass, gamutMapping) < Lc) return null;
+  if (measureContrast(target, H, S, fail, gamutMapping) >= Lc) return fail;
+
+  for (let i = 0; i < 24; i++) {
+    const mid = (pass + fail) / 2;
+    if (measureContrast(target, H, S, mid, gamutMapping) >= Lc) {
+      pass = mid;
+    } else {
+      fail = mid;
+    }
+  }
+
+  return pass;
+}
+
+/**
+ * Clamp a step's lightness into the range that satisfies its contrast targets
+ * 
+ * The progression value is kept when it already meets every target, otherwise
+ * it moves just far enough to reach the nearest passing lightness.
+ * 
+ * @param {number} step - Step being solved (for warnings)
+ * @param {Object} targets - { whiteOn?, blackOn?, onWhite?, onBlack? } APCA Lc values
+ * @param {number} H - Hue in degrees
+ * @param {number} S - Saturation (0-1)
+ * @param {number} L - Lightness from the progression (0-100)
+ * @param {string} gamutMapping - Key of GAMUT_MAPPING_METHODS
+ * @param {Function} warn - Warning handler (see generateScale)
+ * @returns {number} - Solved lightness (0-100)
+ */
+function applyContrastTargets(step, targets, H, S, L, gamutMapping, warn) {
+  let min = 0;
+  let max = 100;
+
+  for (const [target, Lc] of Object.entries(targets)) {
+    if (!CONTRAST_TARGETS[target]) {
+      warn(`Invalid contrast target ${target} for step ${step}, expected one of ${Object.keys(CONTRAST_TARGETS).join(', ')}`, { type: 'invalid-target', step, target });
+      continue;
+    }
+
+    const boundary = solveLightnessBoundary(target, Lc, H, S, gamutMapping);
+    if (boundary === null) {
+      warn(`Contrast target ${target} Lc ${Lc} is unreachable for step ${step}`, { type: 'unreachable', step, target, Lc });
+      continue;
+    }
+
+    if (CONTRAST_TARGETS[target].direction === 'down') {
+      max = Math.min(max, boundary);
+    } else {
+      min = Math.max(min, boundary);
+    }
+  }
+
+  if (min > max) {
+    warn(`Contrast targets for step ${step} conflict, favouring the darker bound`, { type: 'conflict', step });
+    return max;
+  }
+
+  return Math.min(Math.max(L, min), max);
+}
+
+/**
+ * Keep a contrast-solved lightness between the control points around its step
+ *
+ * A target can ask for more lightness than the next control point has (e.g.
+ * whiteOn Lc 95 at 600 lands darker than 700), which would reverse the scale.
+ * The lightness stops at that neighbour instead, with a warning naming the step.
+ *
+ * @param {number} step - Step being solved
+ * @param {number} L - Lightness solved for its contrast targets (0-100)
+ * @param {Object} controls - { step: lightness } control points, first to last step
+ * @param {Function} warn - Warning handler (see generateScale)
+ * @returns {number} - Lightness within its neighbours (0-100)
+ */
+function keepBetweenNeighbours(step, L, controls, warn) {
+  const controlSteps = Object.keys(controls).map(Number).sort((a, b) => a - b);
+  // Light scales get darker along the steps, dark scales lighter
+  const descending = controls[controlSteps[0]] > controls[controlSteps[controlSteps.length - 1]];
+  const before = controlSteps.filter(s => s < step).pop();
+  const after = controlSteps.find(s => s > step);
+
+  const bounds = [
+    before !== undefined && { neighbour: before, limit: controls[before], lower: !descending },
+    after !== undefined && { neighbour: after, limit: controls[after], lower: descending },
+  ].filter(Boolean);
+
+  for (const { neighbour, limit, lower } of bounds) {
+    if (lower ? L < limit : L > limit) {
+      warn(`Contrast targets for step ${step} need L ${L.toFixed(1)}, past step ${neighbour} (L ${limit.toFixed(1)}); keeping step ${step} at L ${limit.toFixed(1)} so the scale stays in order`,
+        { type: 'order', step, L, neighbour, limit });
+      return limit;
+    }
+  }
+
+  return L;
+}
+
+/**
+ * Lightness anchors used when a light scale sets no startL/endL
+ */
+const DEFAULT_START_L = 98;
+const DEFAULT_END_L = 9.5;
+
+/**
+ * Default lightness anchors for dark-mode scales, where the first step is the
+ * darkest surface and the last step the lightest text
+ */
+const DARK_START_L = 8;
+const DARK_END_L = 96;
+
+/**
+ * Mirror a progression end-to-end (50 <-> 950, 100 <-> 900, ...)
+ * 
+ * Dark scales run from dark to light, so a hue or saturation shift that the
+ * light scale applies at its dark end (950) belongs at step 50 in dark mode.
+ * 
+ * @param {Object} progression - { step: value }
+ * @param {Array<number>} steps - Step set to mirror across
+ * @returns {Object} - Mirrored { step: value }
+ */
+function mirrorProgression(progression = {}, steps) {
+  const mirrored = {};
+  for (const [step, value] of Object.entries(progression)) {
+    const index = steps.indexOf(Number(step));
+    // Unknown steps pass through so mapValuesToSteps can warn about them
+    mirrored[index === -1 ? step : steps[steps.length - 1 - index]] = value;
+  }
+  return mirrored;
+}
+
+/**
+ * Resolve the options used for a dark-mode scale
+ * 
+ * Anything not set in `dark` falls back to: the dark lightness anchors, the
+ * light scale's hue and saturation progressions mirrored, linear lightness,
+ * and no contrast targets (light-mode targets don't apply to a dark scale).
+ * 
+ * @param {Object} options - Light-mode generateScale options
+ * @param {Object} dark - Dark-mode overrides
+ * @returns {Object} - Options for buildScale
+ */
+function resolveDarkOptions(options, dark = {}) {
+  return {
+    ...options,
+    baseLightness: dark.baseLightness ?? options.baseLightness,
+    startL: dark.startL ?? DARK_START_L,
+    endL: dark.endL ?? DARK_END_L,
+    hueProgression: dark.hueProgression ?? mirrorProgression(options.hueProgression, options.steps),
+    saturationProgression: dark.saturationProgression ?? mirrorProgression(options.saturationProgression, options.steps),
+    lightnessProgression: dark.lightnessProgression ?? {},
+    contrastTargets: dark.contrastTargets ?? {},
+    interpolation: dark.interpolation ?? options.interpolation,
+  };
+}
+
 /**
  * Wrap hue to 0-360 range
  */
@@ -101,33 +519,123 @@ function wrapHue(hue) {
   return hue;
 }
 
+/**
+ * Absolute lightness control points from the anchors and the relative lightness progression
+ */
+function resolveLightnessControls({ steps, baseStep, baseLightness, startL, endL, lightnessProgression }) {
+  // Lightness: convert relative percentages to absolute values
+  // For tints (before the base step): % progress from startL to baseLightness
+  // For shades (after the base step): % progress from baseLightness to endL
+  const lightProgression = mapValuesToSteps(lightnessProgression, steps);
+
+  const tintRange = baseLightness - startL;
+  const shadeRange = endL - baseLightness;
+
+  const lightControls = {
+    [steps[0]]: startL, // Always anchor to startL
+    [baseStep]: baseLightness, // Base is always exact
+    [steps[steps.length - 1]]: endL // Always anchor to endL
+  };
+
+  // Convert relative % to absolute lightness for each step
+  for (const [step, percent] of Object.entries(lightProgression)) {
+    const stepNum = Number(step);
+    if (stepNum < baseStep) {
+      // Tint: interpolate from startL to baseLightness
+      lightControls[stepNum] = startL + (percent / 100) * tintRange;
+    } else if (stepNum > baseStep) {
+      // Shade: interpolate from baseLightness to endL
+      lightControls[stepNum] = baseLightness + (percent / 100) * shadeRange;
+    }
+  }
+
+  return lightControls;
+}
+
+/**
+ * Lightness control points of a scale before contrast targets are solved
+ * 
+ * Lightness is interpolated monotonically between control points, so the
+ * final scale keeps its order exactly when these points do. Takes the same
+ * options as generateScale.
+ * 
+ * @param {Object} options - generateScale options (including `mode` and `dark`)
+ * @returns {Object} - { step: L } absolute OKhsl lightness (%) per control step
+ */
+export function getLightnessControls({ mode = 'light', dark, ...options }) {
+  const resolved = { ...options, ...resolveStepSet(options.steps, options.baseStep) };
+  const { startL = DEFAULT_START_L, endL = DEFAULT_END_L, ...rest } = mode === 'dark' ? resolveDarkOptions(resolved, dark) : resolved;
+  return resolveLightnessControls({ ...rest, startL, endL });
+}
+
 /**
  * Generate a color scale using explicit control points
  * 
- * Simple strategy: Merge tint + base + shade control points, then linearly
- * interpolate OKhsl values for all steps, convert to OKLCH.
+ * In dark mode (`mode: 'dark'`) the scale runs from a dark surface at the
+ * first step to light text at the last, using the anchors and progressions in `dark`.
+ * 
+ * Simple strategy: Merge tint + base + shade control points, then interpolate
+ * OKhsl values for all steps (linearly unless `interpolation` says otherwise),
+ * convert to OKLCH.
+ * 
+ * Steps with contrast targets have their lightness solved (bisection on OKhsl
+ * lightness) and pinned as control points before the remaining steps are
+ * interpolated, so neighbours bend around the solved values.
  * 
  * @param {Object} options - Configuration object
  * @param {number} options.baseHue - Base hue in degrees (0-360)
  * @param {number} options.baseSaturation - Base saturation in percentage (0-100)
  * @param {number} options.baseLightness - Base lightness in percentage (0-100)
- * @param {number} options.startL - Starting lightness at step 50 (absolute %)
- * @param {number} options.endL - Ending lightness at step 950 (absolute %)
+ * @param {Array<number>} options.steps - Step set (default STEPS: 50, 100, ..., 950)
+ * @param {number} options.baseStep - Step that holds the base color (default 500, or the middle step)
+ * @param {number} options.startL - Starting lightness at the first step (absolute %)
+ * @param {number} options.endL - Ending lightness at the last step (absolute %)
  * @param {Object} options.hueProgression - { step: shift } - Hue shifts in degrees for specific steps
  * @param {Object} options.saturationProgression - { step: percent } - Saturation as % of base (RELATIVE)
  * @param {Object} options.lightnessProgression - { step: percent } - Lightness as % of range (RELATIVE)
- * @returns {Array} Array of 13 color objects {L, C, H} in OKLCH space
+ * @param {Object} options.contrastTargets - { step: { whiteOn, blackOn, onWhite, onBlack } } - Minimum APCA Lc per step
+ * @param {string} options.gamutMapping - 'clip' | 'css' | 'minde' - How out-of-sRGB steps are brought into gamut
+ * @param {string|Array|Object} options.interpolation - 'linear' | 'monotone' | 'catmull-rom' | easing name | [x1, y1, x2, y2],
+ *   or { hue, saturation, lightness } to pick one per progression (lightness is always kept monotonic)
+ * @param {string} options.mode - 'light' (default) or 'dark'
+ * @param {Object} options.dark - Dark-mode { baseLightness, startL, endL, hueProgression, saturationProgression, lightnessProgression, contrastTargets, interpolation }
+ * @param {Function} options.warn - Called as warn(message, details) for contrast targets that are
+ *   invalid, unreachable, conflicting or would reverse the lightness order, and for overshooting
+ *   lightness beziers; details is { type, step, ... } (default: print the message with console.warn)
+ * @returns {Array} One color object {step, L, C, H, deltaE, unmapped, okhsl, explicit} per step, in OKLCH space,
+ *   where deltaE is the ΔEOK moved by gamut mapping, unmapped holds the original {L, C, H},
+ *   okhsl holds the interpolated {H, S, L} inputs (S and L in percentage) and explicit
+ *   flags which of { hue, saturation, lightness } came from a control point rather
+ *   than from interpolation
+ */
+export function generateScale({ mode = 'light', dark, warn = printWarning, ...options }) {
+  if (mode !== 'light' && mode !== 'dark') {
+    throw new Error(`Unknown scale mode "${mode}", expected light or dark`);
+  }
+  const resolved = { ...options, ...resolveStepSet(options.steps, options.baseStep) };
+  return buildScale(mode === 'dark' ? resolveDarkOptions(resolved, dark) : resolved, warn);
+}
+
+/**
+ * Build the scale for fully resolved options (see generateScale)
  */
-export function generateScale({
+function buildScale({
   baseHue,
   baseSaturation,
   baseLightness,
-  startL = 98,
-  endL = 9.5,
+  steps,
+  baseStep,
+  startL = DEFAULT_START_L,
+  endL = DEFAULT_END_L,
   hueProgression = {},
   saturationProgression = {},
-  lightnessProgression = {}
-}) {
+  lightnessProgression = {},
+  contrastTargets = {},
+  gamutMapping = 'css',
+  interpolation = 'linear'
+}, warn = printWarning) {
+  const methods = resolveInterpolation(interpolation, warn);
+
   // Convert base color from OKhsl to OKLCH using Color.js
   const baseColor = new Color("okhsl", [baseHue, baseSaturation / 100, baseLightness / 100]);
   const baseOklch = baseColor.to("oklch");
@@ -137,66 +645,58 @@ export function generateScale({
 
   // Build complete control point maps (tints + base + shades)
   const hueControls = {
-    ...mapValuesToSteps(hueProgression, STEPS),
-    500: 0, // Base has no hue shift (can be overridden)
+    ...mapValuesToSteps(hueProgression, steps),
+    [baseStep]: 0, // Base has no hue shift
   };
 
   // Saturation: convert relative percentages to absolute values
   // (e.g., if baseSaturation=95% and progression says 60%, result is 95% * 60% = 57%)
-  const satProgression = mapValuesToSteps(saturationProgression, STEPS);
+  const satProgression = mapValuesToSteps(saturationProgression, steps);
   const satControls = {
     // Convert relative % to absolute saturation values
     ...Object.fromEntries(
       Object.entries(satProgression).map(([step, percent]) => [step, baseSaturation * (percent / 100)])
     ),
-    500: baseSaturation, // Base is always 100% of itself
+    [baseStep]: baseSaturation, // Base is always 100% of itself
   };
 
-  // Lightness: convert relative percentages to absolute values
-  // For tints (< 500): % progress from startL to baseLightness
-  // For shades (> 500): % progress from baseLightness to endL
-  const lightProgression = mapValuesToSteps(lightnessProgression, STEPS);
-
-  const tintRange = baseLightness - startL;
-  const shadeRange = endL - baseLightness;
+  const lightControls = resolveLightnessControls({ steps, baseStep, baseLightness, startL, endL, lightnessProgression });
 
-  const lightControls = {
-    50: startL, // Always anchor to startL
-    500: baseLightness, // Base is always exact
-    950: endL // Always anchor to endL
-  };
+  // Lightness is always interpolated monotonically so steps never reverse order
+  const interpolateHue = step => interpolateValue(step, hueControls, methods.hue);
+  const interpolateSaturation = step => interpolateValue(step, satControls, methods.saturation);
+  const interpolateLightness = step => interpolateValue(step, lightControls, methods.lightness, true);
 
-  // Convert relative % to absolute lightness for each step
-  for (const [step, percent] of Object.entries(lightProgression)) {
-    const stepNum = Number(step);
-    if (stepNum < 500) {
-      // Tint: interpolate from startL to baseLightness
-      lightControls[stepNum] = startL + (percent / 100) * tintRange;
-    } else if (stepNum > 500) {
-      // Shade: interpolate from baseLightness to endL
-      lightControls[stepNum] = baseLightness + (percent / 100) * shadeRange;
-    }
+  // Solve contrast-targeted steps (in step order) and pin them as lightness controls
+  const targets = mapValuesToSteps(contrastTargets, steps);
+  for (const step of Object.keys(targets).map(Number).sort((a, b) => a - b)) {
+    const H = wrapHue(baseHue + interpolateHue(step));
+    const S = interpolateSaturation(step) / 100;
+    const L = interpolateLightness(step);
+    const solved = applyContrastTargets(step, targets[step], H, S, L, gamutMapping, warn);
+    lightControls[step] = keepBetweenNeighbours(step, solved, lightControls, warn);
   }
 
   // Generate scale by interpolating OKhsl values for each step
   const scale = [];
 
-  for (let i = 0; i < STEPS.length; i++) {
-    const step = STEPS[i];
-
+  for (const step of steps) {
     // Interpolate OKhsl values for this step
-    const hueShift = interpolateValue(step, hueControls);
+    const hueShift = interpolateHue(step);
     const H = wrapHue(baseHue + hueShift);
-    const S = interpolateValue(step, satControls) / 100;
-    const L = interpolateValue(step, lightControls) / 100;
+    const S = interpolateSaturation(step) / 100;
+    const L = interpolateLightness(step) / 100;
 
-    // Convert OKhsl to OKLCH using Color.js
-    const color = new Color("okhsl", [H, S, L]);
-    const oklch = color.to("oklch");
+    // Convert OKhsl to OKLCH using Color.js, then map into sRGB
     scale.push({
-      L: oklch.coords[0] * 100,  // Convert 0-1 to 0-100
-      C: oklch.coords[1],
-      H: oklch.coords[2] ?? 0    // Hue is undefined for achromatic colors
+      step,
+      ...okhslToMappedOklch(H, S, L, gamutMapping),
+      okhsl: { H, S: S * 100, L: L * 100 },
+      explicit: {
+        hue: step in hueControls,
+        saturation: step in satControls,
+        lightness: step in lightControls,
+      },
     });
   }
 
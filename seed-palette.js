@@ -0,0 +1,161 @@
+// seed-palette.js - Derive a whole colorConfigs array from one brand seed color
+import Color from 'colorjs.io';
+import { mapToGamut } from './gamut-mapping.js';
+import { getColorName } from './palette.js';
+
+/**
+ * Scales that carry meaning (danger, warning, success) and only follow the
+ * seed within SEMANTIC_HUE_TOLERANCE of their canonical hue
+ */
+export const SEMANTIC_HUES = ['red', 'amber', 'green'];
+export const SEMANTIC_HUE_TOLERANCE = 5;
+
+/**
+ * Hue distance (degrees) over which the seed's hue shift fades out, so
+ * neighbours of the seed move with it and far hues keep their angle
+ */
+const HUE_FALLOFF = 60;
+
+/**
+ * Seeds with less OKLCH chroma than this have no usable hue
+ */
+const MIN_SEED_CHROMA = 0.02;
+
+/**
+ * Keep base lightness this far (OKhsl %) inside the startL/endL anchors so
+ * the lightness progressions stay in order
+ */
+const ANCHOR_MARGIN = 10;
+
+/**
+ * Signed shortest difference between two hues (-180 to 180)
+ */
+function hueDifference(a, b) {
+  return ((a - b) % 360 + 540) % 360 - 180;
+}
+
+function wrapHue(hue) {
+  return ((hue % 360) + 360) % 360;
+}
+
+function clamp(value, min, max) {
+  return Math.min(Math.max(value, min), max);
+}
+
+function round(value) {
+  return Number(value.toFixed(2));
+}
+
+/**
+ * OKLCH of a config's base color ({ L (0-1), C, H }), H is 0 for grays
+ */
+function baseOklch({ baseHue, baseSaturation, baseLightness }) {
+  const [L, C, H] = new Color('okhsl', [baseHue, baseSaturation / 100, baseLightness / 100]).to('oklch').coords;
+  return { L, C, H: Number.isFinite(H) ? H : 0 };
+}
+
+/**
+ * OKhsl config values of an OKLCH color after mapping it into sRGB
+ */
+function toBaseValues({ L, C, H }) {
+  const mapped = mapToGamut({ L: L * 100, C, H }, { method: 'css' });
+  const [h, s, l] = new Color('oklch', [mapped.L / 100, mapped.C, mapped.H]).to('okhsl').coords;
+  return {
+    baseHue: round(wrapHue(Number.isFinite(h) ? h : H)),
+    baseSaturation: round(clamp(s * 100, 0, 100)),
+    baseLightness: round(clamp(l * 100, 0, 100)),
+  };
+}
+
+/**
+ * Generate a complete colorConfigs array around a seed color
+ *
+ * The reference palette (colors-v2.js) fixes each scale's canonical hue and
+ * its lightness and chroma relative to the others. The seed replaces the
+ * scale whose hue is closest; every other chromatic scale moves by the same
+ * OKLCH lightness offset and chroma ratio the seed has against that scale, so
+ * the set stays perceptually matched. Hues near the seed shift with it (fading
+ * out over HUE_FALLOFF degrees) while semantic hues stay near their angle.
+ * Neutrals take the seed's hue at their own chroma, so grays with no chroma
+ * stay untinted. Progressions and other per-color fields are kept.
+ *
+ * @param {string} seedHex - Brand color
+ * @param {Object} reference - { colorConfigs, defaults, neutrals } (neutrals: scale names treated as grays)
+ * @param {Object} [options]
+ * @param {Array<string>} [options.semantic] - Scale names that keep their hue (default SEMANTIC_HUES)
+ * @param {number} [options.tolerance] - Hue shift allowed for semantic scales (degrees)
+ * @returns {Object} - { seed: name of the scale the seed replaced, colorConfigs,
+ *   report: [{ name, role: 'seed'|'semantic'|'hue'|'neutral', hueShift, from, to }] }
+ *   with from/to the reference and generated base color as OKLCH { L, C, H }
+ */
+export function generateSeedPalette(seedHex, { colorConfigs, defaults, neutrals = [] }, {
+  semantic = SEMANTIC_HUES,
+  tolerance = SEMANTIC_HUE_TOLERANCE,
+} = {}) {
+  let seedColor;
+  try {
+    seedColor = new Color(seedHex.startsWith('#') ? seedHex : `#${seedHex}`);
+  } catch (error) {
+    throw new Error(`Invalid hex color "${seedHex}"\n   ${error.message}`);
+  }
+  const [seedL, seedC, seedH] = seedColor.to('oklch').coords;
+  if (!(seedC >= MIN_SEED_CHROMA)) {
+    throw new Error(`Seed ${seedHex} is too close to gray to pick hues from (OKLCH chroma ${(seedC || 0).toFixed(3)}, needs ${MIN_SEED_CHROMA})`);
+  }
+
+  const entries = colorConfigs.map(config => ({
+    config,
+    name: getColorName(config),
+    reference: baseOklch(config),
+  }));
+  const chromatic = entries.filter(({ name }) => !neutrals.includes(name));
+  if (chromatic.length === 0) {
+    throw new Error('The reference palette has no chromatic scales to replace with the seed');
+  }
+
+  // The seed takes the place of the nearest hue
+  const slot = chromatic.reduce((best, entry) =>
+    Math.abs(hueDifference(seedH, entry.reference.H)) < Math.abs(hueDifference(seedH, best.reference.H)) ? entry : best
+  );
+  const lightnessOffset = seedL - slot.reference.L;
+  const chromaRatio = seedC / slot.reference.C;
+  const hueShift = hueDifference(seedH, slot.reference.H);
+
+  const report = [];
+  const configs = entries.map(({ config, name, reference }) => {
+    const startL = config.startL ?? defaults.startL;
+    const endL = config.endL ?? defaults.endL;
+    let role;
+    let target;
+
+    if (neutrals.includes(name)) {
+      role = 'neutral';
+      target = reference.C < 1e-4 ? null : { ...reference, H: seedH };
+    } else if (config === slot.config) {
+      role = 'seed';
+      target = { L: seedL, C: seedC, H: seedH };
+    } else {
+      role = semantic.includes(name) ? 'semantic' : 'hue';
+      const distance = Math.abs(hueDifference(reference.H, slot.reference.H));
+      const shift = hueShift * Math.max(0, 1 - distance / HUE_FALLOFF);
+      target = {
+        L: clamp(reference.L + lightnessOffset, 0, 1),
+        C: reference.C * chromaRatio,
+        H: wrapHue(reference.H + (role === 'semantic' ? clamp(shift, -tolerance, tolerance) : shift)),
+      };
+    }
+
+    const base = target ? toBaseValues(target) : {};
+    // The seed is used as is; other scales stay clear of the lightness anchors
+    if (target && role !== 'seed') {
+      base.baseLightness = round(clamp(base.baseLightness, Math.min(startL, endL) + ANCHOR_MARGIN, Math.max(startL, endL) - ANCHOR_MARGIN));
+    }
+    const generated = { ...config, ...base };
+
+    const to = baseOklch(generated);
+    report.push({ name, role, hueShift: target ? hueDifference(to.H, reference.H) : 0, from: reference, to });
+    return generated;
+  });
+
+  return { seed: slot.name, colorConfigs: configs, report };
+}
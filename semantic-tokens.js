@@ -0,0 +1,81 @@
+// semantic-tokens.js - Resolve semantic roles onto the generated scales
+
+import Color from 'colorjs.io';
+
+/**
+ * Theme modes every role defines a value for
+ */
+export const THEME_MODES = ['light', 'dark'];
+
+/**
+ * Resolve a role value to a hex color
+ *
+ * Values are either a scale reference like "slate-100" or a literal hex
+ * (for pure white/black that sits outside the scales).
+ *
+ * @param {string} value - "colorName-step" reference or "#rrggbb"
+ * @param {Object} colors - { colorName: { step: hex } }
+ * @returns {string} - Hex color
+ */
+function resolveValue(value, colors) {
+  if (value.startsWith('#')) return value;
+
+  const separator = value.lastIndexOf('-');
+  const colorName = value.slice(0, separator);
+  const step = value.slice(separator + 1);
+  const hex = colors[colorName]?.[step];
+
+  if (!hex) {
+    throw new Error(`Semantic token references unknown swatch "${value}"`);
+  }
+  return hex;
+}
+
+/**
+ * Resolve every semantic role against the generated scales
+ *
+ * @param {Object} roles - { role: { light: ref, dark: ref } }
+ * @param {Object} colors - { colorName: { step: hex } }
+ * @returns {Object} - { light: { role: hex }, dark: { role: hex } }
+ */
+export function resolveSemanticTokens(roles, colors) {
+  const themes = Object.fromEntries(THEME_MODES.map(mode => [mode, {}]));
+
+  for (const [role, values] of Object.entries(roles)) {
+    for (const mode of THEME_MODES) {
+      if (values[mode] === undefined) {
+        throw new Error(`Semantic token "${role}" has no ${mode} value`);
+      }
+      themes[mode][role] = resolveValue(values[mode], colors);
+    }
+  }
+
+  return themes;
+}
+
+/**
+ * Check APCA contrast between paired roles in every theme
+ *
+ * @param {Array<Object>} pairs - [{ text, background, minLc }] role names and minimum APCA Lc
+ * @param {Object} themes - Output of resolveSemanticTokens
+ * @returns {Array<Object>} - One result per pair and mode: { mode, text, background, minLc, Lc, pass }
+ */
+export function checkSemanticContrast(pairs, themes) {
+  const results = [];
+
+  for (const { text, background, minLc } of pairs) {
+    for (const mode of THEME_MODES) {
+      const textHex = themes[mode][text];
+      const backgroundHex = themes[mode][background];
+      if (!textHex || !backgroundHex) {
+        throw new Error(`Contrast pair "${text}" on "${background}" references an undefined role`);
+      }
+
+      // APCA: background.contrast(text, "APCA")
+      const Lc = Math.abs(new Color(backgroundHex).contrast(new Color(textHex), 'APCA'));
+      results.push({ mode, text, background, minLc, Lc, pass: Lc >= minLc });
+    }
+  }
+
+  return results;
+}
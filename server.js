@@ -0,0 +1,217 @@
+// server.js - Local HTTP API for the generation pipeline, plus the static viewer
+// Run with `npm start` (or `node server.js --port 8000 --config colors-v2.js`).
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { parseArgs } from 'util';
+import express from 'express';
+import cors from 'cors';
+import { loadConfig, resolveConfig } from './config-loader.js';
+import { generatePalette, resolveJsonSchema } from './build.js';
+import { listExporters, runExporters } from './exporters.js';
+import { validateConfig } from './config-validation.js';
+import { analyzeHex } from './hex-to-okhsl.js';
+
+const ROOT = path.dirname(fileURLToPath(import.meta.url));
+
+export const DEFAULT_PORT = 8000;
+
+/**
+ * Content types for the files the exporters write
+ */
+const CONTENT_TYPES = {
+  '.json': 'application/json',
+  '.css': 'text/css',
+  '.js': 'text/javascript',
+  '.mjs': 'text/javascript',
+  '.scss': 'text/x-scss',
+  '.gpl': 'text/plain',
+  '.sketchpalette': 'application/json',
+  '.ase': 'application/octet-stream',
+  '.swatches': 'application/zip',
+};
+
+/**
+ * Viewer files served besides the browser modules (see collectViewerModules)
+ * and the generated color-scale-v2* outputs
+ */
+const VIEWER_FILES = ['index.html', 'style.css', 'app-variables.css', 'node_modules/lucide/dist/umd/lucide.js'];
+const VIEWER_DIRECTORIES = ['assets/'];
+const GENERATED_FILE = /^color-scale-v2[\w.-]*\.(json|css|js)$/;
+
+/**
+ * API routes that answer cross-origin requests
+ */
+const API_ROUTES = ['/scale', '/palette', '/palette.css', '/inspect', '/formats'];
+
+/**
+ * Browser modules of the viewer: app.js and every module it imports, so
+ * server-only sources (server.js, cli.js, build.js, ...) are never served
+ */
+function collectViewerModules(entry = 'app.js') {
+  const modules = new Set();
+  const visit = (file) => {
+    if (modules.has(file)) return;
+    modules.add(file);
+    const source = fs.readFileSync(path.join(ROOT, file), 'utf-8');
+    for (const [, specifier] of source.matchAll(/^import\s[^'"]*?from\s+["'](\.\/[^"']+)["']/gm)) {
+      visit(path.posix.normalize(specifier));
+    }
+  };
+  visit(entry);
+  return modules;
+}
+
+/**
+ * Error answered with a 400 and its message (plus details, e.g. validation errors)
+ */
+function badRequest(message, details) {
+  return Object.assign(new Error(message), { status: 400, details });
+}
+
+/**
+ * Generate a palette, reporting config problems as a 400 instead of console output
+ */
+function generate(config, schema) {
+  const errors = validateConfig(config);
+  if (errors.length > 0) {
+    throw badRequest(`${errors.length} config error(s)`, errors);
+  }
+  try {
+    return generatePalette(config, { schema: resolveJsonSchema(schema, config), quiet: true });
+  } catch (error) {
+    throw badRequest(error.message);
+  }
+}
+
+/**
+ * Answer with one export format: the file itself when the format writes one
+ * file, otherwise { files: [{ file, content }] } with binary contents
+ * (ASE, Procreate) base64-encoded and marked `encoding: 'base64'`
+ */
+function sendFormat(res, format, palette) {
+  if (format !== 'all' && !listExporters()[format]) {
+    throw badRequest(`Unknown export format "${format}", expected one of ${Object.keys(listExporters()).join(', ')}, all`);
+  }
+
+  const files = runExporters([format], palette);
+  if (files.length > 1) {
+    res.json({
+      files: files.map(({ file, content }) => Buffer.isBuffer(content)
+        ? { file, content: content.toString('base64'), encoding: 'base64' }
+        : { file, content }),
+    });
+    return;
+  }
+  const [{ file, content }] = files;
+  res.type(CONTENT_TYPES[path.extname(file)] ?? 'text/plain').send(content);
+}
+
+/**
+ * Create the express app
+ *
+ * - POST /scale: { colorConfigs | config, defaults?, format?, schema? } → scales in that format
+ *   (json by default); the config is validated and merged over the built-in defaults
+ * - GET /palette?format=&schema=: the server's config in any format
+ * - GET /palette.css: shorthand for ?format=css
+ * - POST /inspect: { hex, method? } → OKhsl values and white/black contrast
+ * - GET /formats: available export formats
+ * - everything else: the viewer (index.html, its CSS, assets and browser modules)
+ *   and the generated color-scale-v2* files, served statically; other repo files 404
+ *
+ * @param {Object} [options]
+ * @param {string} [options.config] - Config file behind /palette (default: colors-v2.js)
+ * @returns {Object} - Express app
+ */
+export function createApp({ config: configFile } = {}) {
+  const app = express();
+  app.use(API_ROUTES, cors());
+  app.use(express.json({ limit: '1mb' }));
+
+  app.get('/formats', (req, res) => {
+    res.json(listExporters());
+  });
+
+  app.post('/scale', (req, res) => {
+    const { config, colorConfigs, defaults, format = 'json', schema } = req.body ?? {};
+    let resolved;
+    try {
+      resolved = resolveConfig({ defaults, colorConfigs: colorConfigs ?? (config ? [config] : undefined) });
+    } catch {
+      throw badRequest('Send a color config as "config", or several as "colorConfigs"');
+    }
+    sendFormat(res, format, generate(resolved, schema));
+  });
+
+  app.get('/palette', async (req, res) => {
+    const { format = 'json', schema } = req.query;
+    // Re-read on every request so edits to the config show up without a restart
+    const config = await loadConfig(configFile);
+    sendFormat(res, format, generate(config, schema));
+  });
+
+  app.get('/palette.css', async (req, res) => {
+    const config = await loadConfig(configFile);
+    sendFormat(res, 'css', generate(config));
+  });
+
+  app.post('/inspect', (req, res) => {
+    const { hex, method } = req.body ?? {};
+    if (typeof hex !== 'string' || !hex) {
+      throw badRequest('Send the color to inspect as "hex", e.g. { "hex": "#6D4AFF" }');
+    }
+    try {
+      res.json(analyzeHex(hex, method));
+    } catch (error) {
+      throw badRequest(error.message);
+    }
+  });
+
+  // Only the viewer's own files: the rest of the repo (sources, node_modules,
+  // package.json) stays private
+  const viewerFiles = new Set([...VIEWER_FILES, ...collectViewerModules()]);
+  const isViewerFile = (file) => viewerFiles.has(file)
+    || GENERATED_FILE.test(file)
+    || VIEWER_DIRECTORIES.some(directory => file.startsWith(directory));
+  const serveStatic = express.static(ROOT);
+  app.use((req, res, next) => {
+    let file;
+    try {
+      file = path.posix.normalize(decodeURIComponent(req.path)).replace(/^\/+/, '') || 'index.html';
+    } catch {
+      return next();
+    }
+    return isViewerFile(file) ? serveStatic(req, res, next) : next();
+  });
+
+  // Express 5 forwards thrown and rejected errors here
+  app.use((error, req, res, next) => {
+    const status = error.status ?? 500;
+    if (status === 500) console.error('❌ Error:', error);
+    res.status(status).json({ error: error.message, ...(error.details && { details: error.details }) });
+  });
+
+  return app;
+}
+
+// Main execution (skipped when imported)
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  const { values } = parseArgs({
+    options: {
+      port: { type: 'string', default: String(process.env.PORT ?? DEFAULT_PORT) },
+      config: { type: 'string' },
+    },
+  });
+
+  try {
+    // Fail at startup rather than on the first request
+    await loadConfig(values.config);
+  } catch (error) {
+    console.error(`❌ Error: ${error.message}`);
+    process.exit(1);
+  }
+
+  createApp({ config: values.config }).listen(Number(values.port), () => {
+    console.log(`🎨 Palette server on http://localhost:${values.port}`);
+  });
+}
@@ -0,0 +1,237 @@
+// swatch-files.js - Encoders for design tool palette files (Figma, ASE, GPL, Sketch, Procreate)
+
+/**
+ * Every encoder takes swatch groups, one per color scale:
+ *
+ * @typedef {Object} SwatchGroup
+ * @property {string} name - Color name (e.g. red)
+ * @property {Array<{ name: string, hex: string }>} swatches - Named like the CSS variables (red-500)
+ */
+
+/**
+ * Swatches a Procreate palette holds
+ */
+export const PROCREATE_PALETTE_SIZE = 30;
+
+/**
+ * sRGB channels of a #rrggbb or #rrggbbaa hex as 0-1 floats
+ * @param {string} hex
+ * @returns {Object} - { r, g, b, a }
+ */
+export function hexToRgba(hex) {
+  const value = hex.replace('#', '');
+  const channel = (index) => parseInt(value.slice(index, index + 2), 16) / 255;
+  return { r: channel(0), g: channel(2), b: channel(4), a: value.length === 8 ? channel(6) : 1 };
+}
+
+/**
+ * HSB (HSV) of a hex color, every channel 0-1 like Procreate stores it
+ */
+function hexToHsb(hex) {
+  const { r, g, b } = hexToRgba(hex);
+  const max = Math.max(r, g, b);
+  const delta = max - Math.min(r, g, b);
+  let hue = 0;
+  if (delta > 0) {
+    if (max === r) hue = ((g - b) / delta + 6) % 6;
+    else if (max === g) hue = (b - r) / delta + 2;
+    else hue = (r - g) / delta + 4;
+  }
+  return { hue: hue / 6, saturation: max === 0 ? 0 : delta / max, brightness: max };
+}
+
+/**
+ * Adobe Swatch Exchange (.ase): a group per color holding its RGB swatches
+ *
+ * Big-endian blocks after an "ASEF" 1.0 header: group start (0xC001),
+ * color entry (0x0001) and group end (0xC002). Names are UTF-16 with a
+ * terminating null, colors "RGB " with three float32 channels.
+ *
+ * @param {Array<SwatchGroup>} groups
+ * @returns {Buffer}
+ */
+export function encodeAse(groups) {
+  const name = (text) => {
+    const buffer = Buffer.alloc(2 + (text.length + 1) * 2);
+    buffer.writeUInt16BE(text.length + 1, 0);
+    for (let i = 0; i < text.length; i++) buffer.writeUInt16BE(text.charCodeAt(i), 2 + i * 2);
+    return buffer;
+  };
+  const block = (type, body) => {
+    const header = Buffer.alloc(6);
+    header.writeUInt16BE(type, 0);
+    header.writeUInt32BE(body.length, 2);
+    return Buffer.concat([header, body]);
+  };
+
+  const blocks = groups.flatMap(group => [
+    block(0xc001, name(group.name)),
+    ...group.swatches.map(({ name: swatchName, hex }) => {
+      const { r, g, b } = hexToRgba(hex);
+      const color = Buffer.alloc(4 + 12 + 2);
+      color.write('RGB ', 0, 'ascii');
+      [r, g, b].forEach((value, i) => color.writeFloatBE(value, 4 + i * 4));
+      color.writeUInt16BE(2, 16); // normal (not global or spot)
+      return block(0x0001, Buffer.concat([name(swatchName), color]));
+    }),
+    block(0xc002, Buffer.alloc(0)),
+  ]);
+
+  const header = Buffer.alloc(12);
+  header.write('ASEF', 0, 'ascii');
+  header.writeUInt16BE(1, 4);
+  header.writeUInt16BE(0, 6);
+  header.writeUInt32BE(blocks.length, 8);
+  return Buffer.concat([header, ...blocks]);
+}
+
+/**
+ * GIMP/Inkscape palette (.gpl), one row of swatches per color
+ * @param {Array<SwatchGroup>} groups
+ * @param {string} paletteName
+ * @returns {string}
+ */
+export function encodeGpl(groups, paletteName) {
+  const columns = Math.max(...groups.map(group => group.swatches.length));
+  let gpl = `GIMP Palette\nName: ${paletteName}\nColumns: ${columns}\n#\n`;
+  for (const group of groups) {
+    for (const { name, hex } of group.swatches) {
+      const { r, g, b } = hexToRgba(hex);
+      gpl += `${[r, g, b].map(value => String(Math.round(value * 255)).padStart(3)).join(' ')}\t${name}\n`;
+    }
+  }
+  return gpl;
+}
+
+/**
+ * Sketch Palettes plugin file (.sketchpalette)
+ * @param {Array<SwatchGroup>} groups
+ * @returns {string}
+ */
+export function encodeSketchPalette(groups) {
+  const colors = groups.flatMap(group => group.swatches.map(({ name, hex }) => {
+    const { r, g, b, a } = hexToRgba(hex);
+    return { name, red: r, green: g, blue: b, alpha: a };
+  }));
+  return JSON.stringify({ compatibleVersion: '2.0', pluginVersion: '2.22', colors, gradients: [], images: [] }, null, 2);
+}
+
+/**
+ * CRC-32 lookup table (IEEE polynomial, as zip uses), built on first use
+ */
+let crcTable = null;
+
+/**
+ * CRC-32 of a buffer (zlib.crc32 only exists from Node 20.15)
+ */
+function crc32(data) {
+  crcTable ??= Array.from({ length: 256 }, (_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    return c >>> 0;
+  });
+  let crc = 0xffffffff;
+  for (const byte of data) crc = crcTable[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Zip archive with uncompressed (stored) entries
+ * @param {Array<{ name: string, data: Buffer }>} entries
+ * @returns {Buffer}
+ */
+function zip(entries) {
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+
+  for (const { name, data } of entries) {
+    const fileName = Buffer.from(name, 'utf-8');
+    const checksum = crc32(data);
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(20, 4); // version needed
+    local.writeUInt32LE(checksum, 14);
+    local.writeUInt32LE(data.length, 18);
+    local.writeUInt32LE(data.length, 22);
+    local.writeUInt16LE(fileName.length, 26);
+    locals.push(local, fileName, data);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(20, 4); // version made by
+    central.writeUInt16LE(20, 6); // version needed
+    central.writeUInt32LE(checksum, 16);
+    central.writeUInt32LE(data.length, 20);
+    central.writeUInt32LE(data.length, 24);
+    central.writeUInt16LE(fileName.length, 28);
+    central.writeUInt32LE(offset, 42);
+    centrals.push(central, fileName);
+
+    offset += local.length + fileName.length + data.length;
+  }
+
+  const directory = Buffer.concat(centrals);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(entries.length, 8);
+  end.writeUInt16LE(entries.length, 10);
+  end.writeUInt32LE(directory.length, 12);
+  end.writeUInt32LE(offset, 16);
+  return Buffer.concat([...locals, directory, end]);
+}
+
+/**
+ * Procreate palette (.swatches): a zip holding Swatches.json with HSB swatches
+ *
+ * Procreate swatches carry no names, so the palette is named after the group
+ * (red, red-alpha) and its swatches follow the step order.
+ *
+ * @param {SwatchGroup} group
+ * @returns {Buffer}
+ */
+export function encodeProcreateSwatches(group) {
+  if (group.swatches.length > PROCREATE_PALETTE_SIZE) {
+    throw new Error(`Procreate palettes hold ${PROCREATE_PALETTE_SIZE} swatches, ${group.name} has ${group.swatches.length}`);
+  }
+  const swatches = group.swatches.map(({ hex }) => ({ ...hexToHsb(hex), alpha: hexToRgba(hex).a, colorSpace: 0 }));
+  const json = JSON.stringify([{ name: group.name, swatches }]);
+  return zip([{ name: 'Swatches.json', data: Buffer.from(json, 'utf-8') }]);
+}
+
+/**
+ * Figma Variables as a POST /v1/files/:file_key/variables request body
+ *
+ * One collection with a Light and a Dark mode; each variable is a COLOR with
+ * its value in both modes. Ids are the temporary ids the Figma API resolves
+ * on creation (the collection's initial mode is renamed to Light).
+ *
+ * @param {string} collectionName
+ * @param {Array<{ name: string, light: string, dark: string }>} variables - Hex per mode
+ * @returns {Object}
+ */
+export function toFigmaVariables(collectionName, variables) {
+  const collectionId = collectionName;
+  const modes = { light: 'Light', dark: 'Dark' };
+
+  return {
+    variableCollections: [{ action: 'CREATE', id: collectionId, name: collectionName, initialModeId: 'light' }],
+    variableModes: [
+      { action: 'UPDATE', id: 'light', name: modes.light, variableCollectionId: collectionId },
+      { action: 'CREATE', id: 'dark', name: modes.dark, variableCollectionId: collectionId },
+    ],
+    variables: variables.map(({ name }) => ({
+      action: 'CREATE',
+      id: name,
+      name,
+      variableCollectionId: collectionId,
+      resolvedType: 'COLOR',
+    })),
+    variableModeValues: variables.flatMap(variable => Object.keys(modes).map(modeId => ({
+      variableId: variable.name,
+      modeId,
+      value: hexToRgba(variable[modeId]),
+    }))),
+  };
+}